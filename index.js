@@ -3,17 +3,27 @@
 
 const fs = require('fs');
 const path = require('path');
-const { Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const crypto = require('crypto');
+const express = require('express');
+const { createStorage } = require('./storage');
+const { Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder, AuditLogEvent, ModalBuilder, TextInputBuilder, TextInputStyle, ContextMenuCommandBuilder, ApplicationCommandType, Partials, Locale, ChannelType } = require('discord.js');
 
 // ---------- CONFIG ----------
 const config = {
   DISCORD_TOKEN: process.env.DISCORD_TOKEN,
   DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID,
+  GUILD_ID: process.env.GUILD_ID, // guild that inherits the env settings below (defaults to the first guild seen)
   PORT: process.env.PORT || 3000,
+  DASHBOARD_TOKEN: process.env.DASHBOARD_TOKEN, // bearer token for the HTTP API; server disabled if unset
   MOD_LOG_CHANNEL_ID: process.env.MOD_LOG_CHANNEL_ID,
   RULES_CHANNEL_ID: process.env.RULES_CHANNEL_ID,
 
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'json', // 'json' or 'sqlite'
   PREFIX: process.env.PREFIX || '-',
+  ACK_REMINDER_MINUTES: Number(process.env.ACK_REMINDER_MINUTES) || 360, // ping in the ack thread this often
+  ACK_DEADLINE_HOURS: Number(process.env.ACK_DEADLINE_HOURS) || 24, // after this, staff are notified
+  ACK_EXTEND_TIMEOUT_MINUTES: Number(process.env.ACK_EXTEND_TIMEOUT_MINUTES) || 0, // 0 = do not extend timeout when overdue
+  WARNING_EXPIRY_DAYS: Number(process.env.WARNING_EXPIRY_DAYS) || 0, // 0 = warnings never expire
 
   ROLE_STAFF_ASSISTANT: process.env.ROLE_STAFF_ASSISTANT,
   ROLE_ASSISTANT_SUPERVISOR: process.env.ROLE_ASSISTANT_SUPERVISOR,
@@ -27,49 +37,113 @@ if (!config.DISCORD_TOKEN || !config.DISCORD_CLIENT_ID) {
   process.exit(1);
 }
 if (!config.MOD_LOG_CHANNEL_ID) {
-  console.warn('WARN: MOD_LOG_CHANNEL_ID not set. Mod logs will be disabled.');
+  console.warn('WARN: MOD_LOG_CHANNEL_ID not set. Mod logs will be disabled until set with /config.');
 }
 if (!config.RULES_CHANNEL_ID) {
-  console.warn('WARN: RULES_CHANNEL_ID not set. Acknowledgement threads will fail until set.');
+  console.warn('WARN: RULES_CHANNEL_ID not set. Acknowledgement threads will fail until set with /config.');
+}
+if (!config.DASHBOARD_TOKEN) {
+  console.warn('WARN: DASHBOARD_TOKEN not set. HTTP API and dashboard will be disabled.');
 }
 
 // ---------- Data persistence helpers ----------
 const DATA_DIR = path.join(__dirname, 'data');
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
-const WARNINGS_FILE = path.join(DATA_DIR, 'warnings.json');
-const CASES_FILE = path.join(DATA_DIR, 'cases.json');
+// JSON files by default; STORAGE_BACKEND=sqlite uses data/moderation.db (see storage.js)
+const storage = createStorage(config.STORAGE_BACKEND, DATA_DIR);
 
-function loadJson(filePath, fallback) {
-  try {
-    if (!fs.existsSync(filePath)) {
-      fs.writeFileSync(filePath, JSON.stringify(fallback, null, 2));
-      return JSON.parse(JSON.stringify(fallback));
-    }
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  } catch (err) {
-    console.error('Failed to load JSON:', filePath, err);
-    return JSON.parse(JSON.stringify(fallback));
-  }
+// initialize data stores
+let warnings = storage.loadWarnings(); // array of { id, guildId, userId, moderatorId, reason, timestamp }
+let cases = storage.loadCases(); // { nextCaseId, records: [] }
+let guildSettings = storage.loadDocument('guilds', { primaryGuildId: config.GUILD_ID || null, guilds: {} }); // see Per-guild settings
+let schedule = storage.loadDocument('schedule', { nextJobId: 1, jobs: [] }); // { nextJobId, jobs: [{ id, type, runAt, payload, createdAt }] }
+let appeals = storage.loadDocument('appeals', { nextAppealId: 1, records: [] }); // see Appeals
+let modmail = storage.loadDocument('modmail', { nextTicketId: 1, tickets: [], blocked: {} }); // see Modmail
+let userLocales = storage.loadDocument('locales', {}); // userId -> Discord locale from their last interaction
+let warningCounter = storage.loadDocument('warningCounter', { nextWarningId: warnings.reduce((max, w) => Math.max(max, w.id), 0) + 1 }); // IDs are never reused, even after /delwarn
+let notes = storage.loadDocument('notes', { nextNoteId: 1, records: [] }); // { nextNoteId, records: [{ id, guildId, userId, authorId, text, timestamp }] }
+
+// ---------- Per-guild settings ----------
+// Each guild gets its own channels, staff roles, feature toggles, escalation
+// ladder and automod rules. The env values only seed the primary guild.
+function defaultEscalation() {
+  return {
+    steps: [
+      { warnings: 3, action: 'timeout', minutes: 60 },
+      { warnings: 5, action: 'kick' },
+      { warnings: 7, action: 'tempban', minutes: 7 * 24 * 60 }
+    ]
+  };
 }
 
-function saveJson(filePath, obj) {
-  try {
-    fs.writeFileSync(filePath, JSON.stringify(obj, null, 2));
-  } catch (err) {
-    console.error('Failed to save JSON:', filePath, err);
+function defaultGuildSettings(fromEnv) {
+  return {
+    modLogChannelId: (fromEnv && config.MOD_LOG_CHANNEL_ID) || null,
+    messageLogChannelId: null, // message/member logs fall back to the mod log channel
+    memberLogChannelId: null,
+    rulesChannelId: (fromEnv && config.RULES_CHANNEL_ID) || null,
+    appealsChannelId: null, // appeals are offered only once this is set
+    modmailChannelId: null, // DMs to the bot open threads here
+    quarantineChannelId: null, // holding channel for jailed members; their ack threads open here
+    prefix: config.PREFIX,
+    roles: {
+      staffAssistant: (fromEnv && config.ROLE_STAFF_ASSISTANT) || null,
+      assistantSupervisor: (fromEnv && config.ROLE_ASSISTANT_SUPERVISOR) || null,
+      supervisor: (fromEnv && config.ROLE_SUPERVISOR) || null,
+      assistantManager: (fromEnv && config.ROLE_ASSISTANT_MANAGER) || null,
+      unban: (fromEnv && config.ROLE_UNBAN) || null,
+      jail: null
+    },
+    features: { prefixCommands: true, automod: true, escalation: true, eventLogs: true, evasion: true },
+    logging: { ignoredChannels: [], ignoredRoles: [] },
+    antiraid: defaultAntiraidSettings(),
+    raidMode: null, // { since, until, caseId } while active
+    appeals: { cooldownHours: 24, maxPerCase: 2 },
+    digest: { enabled: false, channelId: null, weekday: 1, hour: 9 }, // weekly stats post, UTC
+    lockdowns: {}, // channelId -> { previous: { SendMessages: true|false|null, ... }, caseId, lockedAt }
+    templates: {}, // template key -> { locale: text }, see Message templates
+    // the primary guild keeps the ladder/rules stored before settings became per-guild
+    escalation: fromEnv ? storage.loadDocument('escalation', defaultEscalation()) : defaultEscalation(),
+    automod: fromEnv ? storage.loadDocument('automod', { rules: defaultAutomodRules() }) : { rules: defaultAutomodRules() }
+  };
+}
+
+const upgradedGuilds = new Set(); // guilds whose stored settings were checked for new keys
+
+function getGuildConfig(guildId) {
+  if (!guildSettings.guilds[guildId]) {
+    guildSettings.guilds[guildId] = defaultGuildSettings(guildId === guildSettings.primaryGuildId);
+    saveGuildSettings();
+  }
+  const settings = guildSettings.guilds[guildId];
+  if (!upgradedGuilds.has(guildId)) {
+    // settings saved by an older version may miss keys added since
+    const defaults = defaultGuildSettings(false);
+    Object.keys(defaults).forEach(key => {
+      if (settings[key] === undefined) settings[key] = defaults[key];
+      else if (['roles', 'features', 'logging', 'antiraid', 'appeals', 'digest'].includes(key)) settings[key] = { ...defaults[key], ...settings[key] };
+    });
+    upgradedGuilds.add(guildId);
   }
+  return settings;
 }
 
-// initialize data stores
-let warnings = loadJson(WARNINGS_FILE, []); // array of { id, userId, moderatorId, reason, timestamp }
-let cases = loadJson(CASES_FILE, { nextCaseId: 1, records: [] }); // { nextCaseId, records: [] }
+function saveGuildSettings() {
+  storage.saveDocument('guilds', guildSettings);
+}
+
+// Records stored before guild scoping have no guildId and belong to the primary guild.
+function inGuild(record, guildId) {
+  return (record.guildId || guildSettings.primaryGuildId) === guildId;
+}
 
 // Case helper
-function nextCase(action, moderatorId, targetUserId, reason, extra = {}) {
+function nextCase(guildId, action, moderatorId, targetUserId, reason, extra = {}) {
   const caseId = cases.nextCaseId++;
   const record = {
     caseId,
+    guildId,
     action,
     moderatorId,
     targetUserId,
@@ -78,74 +152,363 @@ function nextCase(action, moderatorId, targetUserId, reason, extra = {}) {
     extra
   };
   cases.records.push(record);
-  saveJson(CASES_FILE, cases);
+  storage.saveCase(record, cases);
   return record;
 }
 
+// Persist changes made to an existing case record.
+function saveCase(record) {
+  storage.saveCase(record, cases);
+}
+
+const BAN_ACTIONS = ['Ban', 'TempBan']; // case actions that leave the user banned
+
 // ---------- Discord client ----------
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.GuildModeration, // audit log entries for manual actions
     GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent
-  ]
+    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.DirectMessages // modmail
+  ],
+  partials: [Partials.Channel] // DM channels are not cached, so DMs arrive only with this
 });
 
 // ---------- Permission helpers ----------
 function getMemberLevel(member) {
   if (!member || !member.roles) return 0;
-  const r = config;
-  if (r.ROLE_ASSISTANT_MANAGER && member.roles.cache.has(r.ROLE_ASSISTANT_MANAGER)) return 4; // assistant manager+
-  if (r.ROLE_SUPERVISOR && member.roles.cache.has(r.ROLE_SUPERVISOR)) return 3;
-  if (r.ROLE_ASSISTANT_SUPERVISOR && member.roles.cache.has(r.ROLE_ASSISTANT_SUPERVISOR)) return 2;
-  if (r.ROLE_STAFF_ASSISTANT && member.roles.cache.has(r.ROLE_STAFF_ASSISTANT)) return 1;
+  const r = getGuildConfig(member.guild.id).roles;
+  if (r.assistantManager && member.roles.cache.has(r.assistantManager)) return 4; // assistant manager+
+  if (r.supervisor && member.roles.cache.has(r.supervisor)) return 3;
+  if (r.assistantSupervisor && member.roles.cache.has(r.assistantSupervisor)) return 2;
+  if (r.staffAssistant && member.roles.cache.has(r.staffAssistant)) return 1;
   return 0;
 }
 
-function checkCanModerate(issuerMember, targetMember, minLevelRequired) {
+// Default permission matrix. Each entry grants an action to members with tier
+// >= minLevel (null = no tier), to any of `roles`, or to holders of the Discord
+// `permission`. `limits` caps durations per tier: { 2: 1440 } = tier 2 may go up
+// to 24h. Guild overrides live in guildConfig.permissions; unban also accepts
+// the configured unban role.
+const DEFAULT_PERMISSIONS = {
+  warn: { minLevel: 1 },
+  'message.delete': { minLevel: 1 }, // "Delete & warn" context menu
+  warnings: { minLevel: 0 },
+  delwarn: { minLevel: 3 },
+  clearwarns: { minLevel: 4 },
+  kick: { minLevel: 3 },
+  ban: { minLevel: 2 },
+  tempban: { minLevel: 2 },
+  unban: { minLevel: null },
+  timeout: { minLevel: 3 },
+  untimeout: { minLevel: 3 },
+  quarantine: { minLevel: 3 },
+  release: { minLevel: 3 },
+  purge: { minLevel: 4, permission: 'ManageMessages' },
+  history: { minLevel: 1 },
+  'case.view': { minLevel: 1 },
+  'case.reason': { minLevel: 3 },
+  'case.reason.own': { minLevel: 1 },
+  'case.void': { minLevel: 4 },
+  'pending-acks': { minLevel: 1 },
+  'note.view': { minLevel: 1 },
+  'note.add': { minLevel: 1 },
+  'note.remove': { minLevel: 3 },
+  'note.remove.own': { minLevel: 1 },
+  userinfo: { minLevel: 1 },
+  export: { minLevel: 3 },
+  modstats: { minLevel: 3 },
+  'appeals.decide': { minLevel: 4 },
+  modmail: { minLevel: 1 },
+  'modmail.block': { minLevel: 3 },
+  digest: { minLevel: 4, permission: 'ManageGuild' },
+  templates: { minLevel: 4, permission: 'ManageGuild' },
+  import: { minLevel: 4 },
+  'escalation.view': { minLevel: 1 },
+  'escalation.edit': { minLevel: 4 },
+  'automod.view': { minLevel: 1 },
+  'automod.edit': { minLevel: 4 },
+  'antiraid.view': { minLevel: 1 },
+  'antiraid.edit': { minLevel: 4 },
+  lockdown: { minLevel: 3, permission: 'ManageChannels' },
+  slowmode: { minLevel: 2, permission: 'ManageChannels' },
+  // Manage Server so a new guild can be set up before staff roles exist
+  config: { minLevel: 4, permission: 'ManageGuild' },
+  'permissions.view': { minLevel: 1 },
+  'permissions.edit': { minLevel: 4, permission: 'ManageGuild' }
+};
+
+function getPermissionEntry(guildId, action) {
+  const override = getGuildConfig(guildId).permissions?.[action] || {};
+  return { roles: [], limits: {}, ...DEFAULT_PERMISSIONS[action], ...override };
+}
+
+/**
+ * Checks an action against the guild's permission matrix.
+ * options: targetMember (role hierarchy check), minutes (duration limits).
+ * Returns { ok } or { ok: false, reason, limit? }.
+ */
+function checkPermission(issuerMember, action, { targetMember = null, minutes = null } = {}) {
   if (!issuerMember) return { ok: false, reason: 'no_issuer' };
   // owner bypass
   if (issuerMember.guild && issuerMember.guild.ownerId === issuerMember.id) return { ok: true };
 
-  const issuerLevel = getMemberLevel(issuerMember);
-  if (issuerLevel < minLevelRequired) return { ok: false, reason: 'insufficient_level' };
+  const entry = getPermissionEntry(issuerMember.guild.id, action);
+  const level = getMemberLevel(issuerMember);
+  const roles = action === 'unban' ? [...entry.roles, getGuildConfig(issuerMember.guild.id).roles.unban] : entry.roles;
+  const allowed = (entry.minLevel !== null && level >= entry.minLevel)
+    || roles.some(roleId => roleId && issuerMember.roles.cache.has(roleId))
+    || (entry.permission && issuerMember.permissions.has(PermissionFlagsBits[entry.permission]));
+  if (!allowed) return { ok: false, reason: 'insufficient_level' };
 
   if (targetMember && issuerMember.roles.highest.position <= targetMember.roles.highest.position) {
     return { ok: false, reason: 'role_hierarchy' };
   }
+
+  const limit = entry.limits[level];
+  if (minutes !== null && limit && minutes > limit) return { ok: false, reason: 'limit', limit };
   return { ok: true };
 }
 
+// Reply text for a failed check; duration limits get their own message.
+function permissionError(can, fallback) {
+  if (can.reason === 'limit') return `❌ Your tier may only do this for up to ${can.limit} minute(s).`;
+  return fallback;
+}
+
 // ---------- Helper: mod log ----------
+async function fetchModLogChannel(guild) {
+  const channelId = getGuildConfig(guild.id).modLogChannelId;
+  if (!channelId) return null;
+  return guild.channels.fetch(channelId).catch(() => null);
+}
+
 async function sendModLog(guild, record) {
-  if (!config.MOD_LOG_CHANNEL_ID) return;
   try {
-    const ch = await guild.channels.fetch(config.MOD_LOG_CHANNEL_ID).catch(() => null);
+    const ch = await fetchModLogChannel(guild);
     if (!ch) return;
     const embed = new EmbedBuilder()
-      .setTitle(`🛡️ Mod Action: ${record.action}`)
+      .setTitle(`🛡️ Mod Action: ${record.action}${record.source === 'manual' ? ' (manual)' : ''}`)
       .addFields(
         { name: 'Case ID', value: `${record.caseId}`, inline: true },
         { name: 'Moderator', value: `<@${record.moderatorId}>`, inline: true },
         { name: 'Target', value: `<@${record.targetUserId}>`, inline: true },
-        { name: 'Reason', value: record.reason, inline: false }
+        { name: 'Reason', value: truncate(record.reason, 1024), inline: false }
       )
       .setTimestamp(new Date(record.timestamp))
       .setColor(record.color || 0xff9900);
+    const evidence = record.evidence ? evidenceFields(record.evidence) : [];
     if (record.extra) {
-      Object.entries(record.extra).forEach(([k, v]) => {
-        embed.addFields({ name: String(k), value: String(v), inline: true });
+      Object.entries(record.extra).slice(0, 21 - evidence.length).forEach(([k, v]) => {
+        embed.addFields({ name: String(k), value: truncate(v, 1024) || '—', inline: true });
       });
     }
-    await ch.send({ embeds: [embed] });
+    if (evidence.length) embed.addFields(evidence);
+    if (record.dm) embed.addFields({ name: 'DM', value: describeDm(record.dm), inline: true });
+    await ch.send({ embeds: [embed], files: record.files || [] });
   } catch (err) {
     console.error('Failed to send mod log:', err);
   }
 }
 
+// ---------- Evidence ----------
+// Snapshot of the message a case is about, taken from the context menu actions
+// so the case keeps it even after the message is edited or deleted.
+function captureEvidence(message) {
+  return {
+    messageId: message.id,
+    channelId: message.channelId,
+    url: message.url,
+    authorId: message.author.id,
+    content: message.content || '',
+    attachments: [...message.attachments.values()].map(a => ({ name: a.name, url: a.url })),
+    createdAt: new Date(message.createdTimestamp).toISOString()
+  };
+}
+
+function evidenceFields(evidence) {
+  const fields = [{ name: 'Evidence', value: `[Message](${evidence.url}) in <#${evidence.channelId}>${evidence.deleted ? ' (deleted)' : ''}` }];
+  if (evidence.content) fields.push({ name: 'Message content', value: truncate(evidence.content, 1024) });
+  if (evidence.attachments.length) {
+    fields.push({ name: `Attachments (${evidence.attachments.length})`, value: truncate(evidence.attachments.map(a => `[${a.name}](${a.url})`).join('\n'), 1024) });
+  }
+  return fields;
+}
+
+// ---------- Message templates ----------
+// Text sent to members (DMs, acknowledgement threads) and the evasion alert
+// to staff come from these templates. Staff override a key per locale with /template; the user's
+// locale (seen on their last interaction) wins over the guild's, and a
+// language without region ('pt') covers all its variants. {name}
+// placeholders are filled from `vars`; {appeal} and {release} are templates
+// themselves.
+const MESSAGE_TEMPLATES = {
+  'dm.warn': { text: 'You were warned in **{guild}** for: {reason}\nCase ID: {caseId}{appeal}', vars: ['guild', 'user', 'reason', 'caseId', 'appeal'] },
+  'dm.kick': { text: 'You were kicked from **{guild}** for: {reason}', vars: ['guild', 'user', 'reason'] },
+  'dm.ban': { text: 'You were banned from **{guild}** for: {reason}{appeal}', vars: ['guild', 'user', 'reason', 'appeal'] },
+  'dm.tempban': { text: 'You were temporarily banned from **{guild}** for {duration}: {reason}{appeal}', vars: ['guild', 'user', 'reason', 'duration', 'appeal'] },
+  'dm.untimeout': { text: 'Your timeout in **{guild}** has been removed. Case ID: {caseId}', vars: ['guild', 'user', 'caseId'] },
+  'dm.release': { text: 'You have been released from quarantine in **{guild}** and your roles were restored. Case ID: {caseId}', vars: ['guild', 'user', 'caseId'] },
+  'dm.appeal.accepted': { text: '✅ Your appeal for case {caseId} in **{guild}** was accepted.', vars: ['guild', 'user', 'caseId'] },
+  'dm.appeal.denied': { text: '❌ Your appeal for case {caseId} in **{guild}** was denied: {reason}', vars: ['guild', 'user', 'caseId', 'reason'] },
+  'dm.modmail.opened': { text: '📨 Your message was sent to the **{guild}** staff. Replies will arrive here.', vars: ['guild', 'user'] },
+  'dm.modmail.closed': { text: '📪 Your conversation with the **{guild}** staff was closed: {reason}\nSend another message to start a new one.', vars: ['guild', 'user', 'reason'] },
+  appeal: { text: '\nYou can appeal with the button below.', vars: ['guild', 'user'] },
+  'ack.warn.title': { text: 'You have received a warning', vars: ['guild', 'user', 'caseId'] },
+  'ack.warn.description': { text: 'You were warned in **{guild}** for: {reason}\nYou have been muted for {duration} or until you acknowledge. Press the button to acknowledge.', vars: ['guild', 'user', 'reason', 'duration', 'caseId'] },
+  'ack.timeout.title': { text: 'You have been timed out', vars: ['guild', 'user', 'caseId'] },
+  'ack.timeout.description': { text: 'You have been timed out in **{guild}** for {duration}: {reason}\nAcknowledging will confirm you have read this but will NOT remove your timeout.', vars: ['guild', 'user', 'reason', 'duration', 'caseId'] },
+  'ack.escalation.description': { text: 'You have reached {warnings} warnings in **{guild}** and have been timed out for {duration}.\nLatest warning: {reason}\nAcknowledging will confirm you have read this but will NOT remove your timeout.', vars: ['guild', 'user', 'reason', 'duration', 'warnings', 'caseId'] },
+  'ack.quarantine.title': { text: 'You have been quarantined', vars: ['guild', 'user', 'caseId'] },
+  'ack.quarantine.description': { text: 'You have been quarantined in **{guild}**: {reason}\n{release} Your roles will be restored on release.', vars: ['guild', 'user', 'reason', 'release', 'caseId'] },
+  'quarantine.release.timed': { text: 'You will be released {time}.', vars: ['guild', 'user', 'time'] },
+  'quarantine.release.manual': { text: 'Staff will release you once the matter is resolved.', vars: ['guild', 'user'] },
+  'ack.reminder': { text: '{user} Reminder: please read the message above and press **Acknowledge Consequence** for case {caseId} (due {deadline}).', vars: ['guild', 'user', 'caseId', 'deadline'] },
+  'ack.rejoin': { text: '{user} Leaving the server did not close this. Please press **Acknowledge Consequence** for case {caseId}.', vars: ['guild', 'user', 'caseId'] },
+  // staff-facing, so it follows the guild's locale; {caseRef} is ' (case #N)' or empty
+  'alert.evasion': { text: '🔁 **{tag}** ({user}) rejoined{caseRef}.\n{details}', vars: ['guild', 'user', 'tag', 'caseRef', 'details'] }
+};
+
+// Discord locales plus their bare languages ('en-US' -> 'en')
+const TEMPLATE_LOCALES = new Set(Object.values(Locale).flatMap(l => [l, l.split('-')[0]]));
+
+// 90 -> '1h 30m'
+function formatDuration(minutes) {
+  const parts = [[Math.floor(minutes / 1440), 'd'], [Math.floor(minutes / 60) % 24, 'h'], [minutes % 60, 'm']];
+  return parts.filter(([n]) => n).map(([n, unit]) => `${n}${unit}`).join(' ') || '0m';
+}
+
+function rememberLocale(userId, locale) {
+  if (!locale || userLocales[userId] === locale) return;
+  userLocales[userId] = locale;
+  storage.saveDocument('locales', userLocales);
+}
+
+/**
+ * Returns { text, locale } for a template. `locale` is the override used, or
+ * null for the built-in English text. `localeOverride` skips the lookup
+ * (used by /template preview).
+ */
+function renderTemplate(guild, key, vars, userId, localeOverride = null) {
+  const overrides = getGuildConfig(guild.id).templates[key] || {};
+  const wanted = localeOverride ? [localeOverride] : [userLocales[userId], guild.preferredLocale, 'en'];
+  const locale = wanted.filter(Boolean).flatMap(l => [l, l.split('-')[0]]).find(l => overrides[l]) || null;
+  const all = { guild: guild.name, user: `<@${userId}>`, ...vars };
+  const text = (locale ? overrides[locale] : MESSAGE_TEMPLATES[key].text).replace(/\{(\w+)\}/g, (m, name) => (all[name] ?? m));
+  return { text, locale };
+}
+
+// {appeal} for DMs that carry an Appeal button
+function appealInfo(guild, userId, components) {
+  return components.length ? renderTemplate(guild, 'appeal', {}, userId).text : '';
+}
+
+/**
+ * DMs a templated message. Returns the delivery record stored on the case as
+ * record.dm, so staff can tell whether a user with closed DMs was ever told.
+ * `user` may be null (account gone), which records an undelivered DM.
+ */
+async function sendTemplatedDm(user, guild, key, vars, components = []) {
+  const { text, locale } = renderTemplate(guild, key, vars, user?.id);
+  const delivered = user ? await user.send({ content: text, components }).then(() => true, () => false) : false;
+  return { template: key, locale: locale || 'default', delivered, at: new Date().toISOString() };
+}
+
+function describeDm(dm) {
+  return `${dm.delivered ? '✅ Delivered' : '❌ Not delivered (DMs closed?)'} • ${dm.template} (${dm.locale})`;
+}
+
 // ---------- Commands ----------
+const PURGE_MAX = 1000;
+const QUARANTINE_MAX_MINUTES = 365 * 24 * 60;
+// message context menu name -> what it does
+const CONTEXT_ACTIONS = {
+  'Warn author': { kind: 'warn', permissions: ['warn'] },
+  'Timeout author': { kind: 'timeout', permissions: ['timeout'] },
+  'Delete & warn': { kind: 'deletewarn', permissions: ['warn', 'message.delete'] }
+};
+const MODSTATS_PERIODS = {
+  '1d': { label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+  '7d': { label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  '30d': { label: 'Last 30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  '90d': { label: 'Last 90 days', ms: 90 * 24 * 60 * 60 * 1000 },
+  all: { label: 'All time', ms: null }
+};
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const AUTOMOD_RULE_CHOICES = [
+  { name: 'Spam', value: 'spam' },
+  { name: 'Mass mentions', value: 'mentions' },
+  { name: 'Invite links', value: 'invites' },
+  { name: 'Blocked words', value: 'words' },
+  { name: 'Excessive caps', value: 'caps' },
+  { name: 'Excessive emoji', value: 'emoji' }
+];
+
 const commands = [
+  new SlashCommandBuilder().setName('config').setDescription("View or change this server's bot settings")
+    .addSubcommand(sc => sc.setName('view').setDescription('Show current settings'))
+    .addSubcommand(sc => sc.setName('channel').setDescription('Set a channel')
+      .addStringOption(o => o.setName('setting').setDescription('Which channel').setRequired(true)
+        .addChoices(
+          { name: 'Mod log (moderation actions)', value: 'modLogChannelId' },
+          { name: 'Message log (edits/deletes)', value: 'messageLogChannelId' },
+          { name: 'Member log (joins/leaves/updates)', value: 'memberLogChannelId' },
+          { name: 'Rules (acknowledgement threads)', value: 'rulesChannelId' },
+          { name: 'Appeals (staff review)', value: 'appealsChannelId' },
+          { name: 'Quarantine holding channel', value: 'quarantineChannelId' },
+          { name: 'Modmail (staff threads)', value: 'modmailChannelId' }
+        ))
+      .addChannelOption(o => o.setName('channel').setDescription('Channel (leave empty to unset)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('role').setDescription('Set a staff tier role')
+      .addStringOption(o => o.setName('tier').setDescription('Tier').setRequired(true)
+        .addChoices(
+          { name: 'Staff assistant (1)', value: 'staffAssistant' },
+          { name: 'Assistant supervisor (2)', value: 'assistantSupervisor' },
+          { name: 'Supervisor (3)', value: 'supervisor' },
+          { name: 'Assistant manager (4)', value: 'assistantManager' },
+          { name: 'Unban', value: 'unban' },
+          { name: 'Jail (quarantine)', value: 'jail' }
+        ))
+      .addRoleOption(o => o.setName('role').setDescription('Role (leave empty to unset)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('feature').setDescription('Turn a feature on or off')
+      .addStringOption(o => o.setName('name').setDescription('Feature').setRequired(true)
+        .addChoices(
+          { name: 'Prefix commands', value: 'prefixCommands' },
+          { name: 'Automod', value: 'automod' },
+          { name: 'Warning escalation', value: 'escalation' },
+          { name: 'Event logs', value: 'eventLogs' },
+          { name: 'Evasion checks (leave/rejoin)', value: 'evasion' }
+        ))
+      .addBooleanOption(o => o.setName('enabled').setDescription('Enabled').setRequired(true)))
+    .addSubcommand(sc => sc.setName('logignore').setDescription('Exclude a channel or role from message/member logs')
+      .addChannelOption(o => o.setName('channel').setDescription('Channel to ignore').setRequired(false))
+      .addRoleOption(o => o.setName('role').setDescription('Role to ignore').setRequired(false))
+      .addBooleanOption(o => o.setName('remove').setDescription('Stop ignoring instead').setRequired(false)))
+    .addSubcommand(sc => sc.setName('appeals').setDescription('Set appeal limits')
+      .addIntegerOption(o => o.setName('cooldown_hours').setDescription('Hours a user must wait between appeals').setRequired(false).setMinValue(0).setMaxValue(8760))
+      .addIntegerOption(o => o.setName('max_per_case').setDescription('Appeals allowed per case').setRequired(false).setMinValue(1).setMaxValue(10)))
+    .addSubcommand(sc => sc.setName('prefix').setDescription('Set the text command prefix')
+      .addStringOption(o => o.setName('prefix').setDescription('Prefix, e.g. -').setRequired(true).setMaxLength(5))),
+
+  new SlashCommandBuilder().setName('permissions').setDescription('View or edit who can use each action')
+    .addSubcommand(sc => sc.setName('view').setDescription('Show the permission matrix'))
+    .addSubcommand(sc => sc.setName('level').setDescription('Set the minimum staff tier for an action')
+      .addStringOption(o => o.setName('action').setDescription('Action').setRequired(true).setAutocomplete(true))
+      .addIntegerOption(o => o.setName('tier').setDescription('Minimum tier 0-4 (omit to allow no tier)').setRequired(false).setMinValue(0).setMaxValue(4)))
+    .addSubcommand(sc => sc.setName('role').setDescription('Grant or revoke an action for a specific role')
+      .addStringOption(o => o.setName('action').setDescription('Action').setRequired(true).setAutocomplete(true))
+      .addRoleOption(o => o.setName('role').setDescription('Role').setRequired(true))
+      .addBooleanOption(o => o.setName('remove').setDescription('Revoke instead of grant').setRequired(false)))
+    .addSubcommand(sc => sc.setName('limit').setDescription('Cap the duration a tier may use (tempban/timeout)')
+      .addStringOption(o => o.setName('action').setDescription('Action').setRequired(true)
+        .addChoices({ name: 'tempban', value: 'tempban' }, { name: 'timeout', value: 'timeout' }))
+      .addIntegerOption(o => o.setName('tier').setDescription('Tier 0-4').setRequired(true).setMinValue(0).setMaxValue(4))
+      .addIntegerOption(o => o.setName('max_minutes').setDescription('Maximum minutes (0 = no limit)').setRequired(true).setMinValue(0)))
+    .addSubcommand(sc => sc.setName('reset').setDescription('Restore the default for an action')
+      .addStringOption(o => o.setName('action').setDescription('Action').setRequired(true).setAutocomplete(true))),
+
   new SlashCommandBuilder().setName('warn').setDescription('Warn a member')
     .addUserOption(o => o.setName('user').setDescription('User to warn').setRequired(true))
     .addStringOption(o => o.setName('reason').setDescription('Reason').setRequired(false)),
@@ -153,9 +516,59 @@ const commands = [
   new SlashCommandBuilder().setName('warnings').setDescription("List a user's warnings")
     .addUserOption(o => o.setName('user').setDescription('User to view').setRequired(true)),
 
+  new SlashCommandBuilder().setName('delwarn').setDescription('Remove a single warning')
+    .addIntegerOption(o => o.setName('id').setDescription('Warning ID').setRequired(true))
+    .addStringOption(o => o.setName('reason').setDescription('Why the warning is removed').setRequired(true).setMaxLength(1000)),
+
   new SlashCommandBuilder().setName('clearwarns').setDescription("Clear a user's warnings")
     .addUserOption(o => o.setName('user').setDescription('User to clear').setRequired(true)),
 
+  new SlashCommandBuilder().setName('escalation').setDescription('View or edit the warning escalation ladder')
+    .addSubcommand(sc => sc.setName('view').setDescription('Show the ladder'))
+    .addSubcommand(sc => sc.setName('set').setDescription('Add or replace a step')
+      .addIntegerOption(o => o.setName('warnings').setDescription('Active warning count that triggers the step').setRequired(true).setMinValue(1))
+      .addStringOption(o => o.setName('action').setDescription('Action to apply').setRequired(true)
+        .addChoices(
+          { name: 'Timeout', value: 'timeout' },
+          { name: 'Kick', value: 'kick' },
+          { name: 'Tempban', value: 'tempban' },
+          { name: 'Ban', value: 'ban' }
+        ))
+      .addIntegerOption(o => o.setName('minutes').setDescription('Duration for timeout/tempban').setRequired(false).setMinValue(1)))
+    .addSubcommand(sc => sc.setName('remove').setDescription('Remove a step')
+      .addIntegerOption(o => o.setName('warnings').setDescription('Warning count of the step').setRequired(true))),
+
+  new SlashCommandBuilder().setName('automod').setDescription('Configure automod rules')
+    .addSubcommand(sc => sc.setName('view').setDescription('Show automod rules'))
+    .addSubcommand(sc => sc.setName('toggle').setDescription('Enable or disable a rule')
+      .addStringOption(o => o.setName('rule').setDescription('Rule').setRequired(true).addChoices(...AUTOMOD_RULE_CHOICES))
+      .addBooleanOption(o => o.setName('enabled').setDescription('Enabled').setRequired(true)))
+    .addSubcommand(sc => sc.setName('actions').setDescription('Set what a rule does when it triggers')
+      .addStringOption(o => o.setName('rule').setDescription('Rule').setRequired(true).addChoices(...AUTOMOD_RULE_CHOICES))
+      .addBooleanOption(o => o.setName('delete').setDescription('Delete the message').setRequired(true))
+      .addBooleanOption(o => o.setName('warn').setDescription('Warn the author').setRequired(true))
+      .addIntegerOption(o => o.setName('timeout_minutes').setDescription('Timeout the author (0 = no timeout)').setRequired(true).setMinValue(0).setMaxValue(40320)))
+    .addSubcommand(sc => sc.setName('threshold').setDescription("Set a rule's limit")
+      .addStringOption(o => o.setName('rule').setDescription('Rule').setRequired(true)
+        .addChoices(
+          { name: 'Spam (messages per window)', value: 'spam' },
+          { name: 'Mass mentions (mentions per message)', value: 'mentions' },
+          { name: 'Caps (percent uppercase)', value: 'caps' },
+          { name: 'Emoji (emoji per message)', value: 'emoji' }
+        ))
+      .addIntegerOption(o => o.setName('value').setDescription('Limit').setRequired(true).setMinValue(1))
+      .addIntegerOption(o => o.setName('window_seconds').setDescription('Spam window in seconds').setRequired(false).setMinValue(1)))
+    .addSubcommand(sc => sc.setName('exempt').setDescription('Exempt a role or channel from a rule')
+      .addStringOption(o => o.setName('rule').setDescription('Rule').setRequired(true).addChoices(...AUTOMOD_RULE_CHOICES))
+      .addRoleOption(o => o.setName('role').setDescription('Role to exempt').setRequired(false))
+      .addChannelOption(o => o.setName('channel').setDescription('Channel to exempt').setRequired(false))
+      .addBooleanOption(o => o.setName('remove').setDescription('Remove the exemption instead').setRequired(false)))
+    .addSubcommand(sc => sc.setName('filter').setDescription('Add or remove a blocked word or regex')
+      .addStringOption(o => o.setName('mode').setDescription('Add or remove').setRequired(true)
+        .addChoices({ name: 'Add', value: 'add' }, { name: 'Remove', value: 'remove' }))
+      .addStringOption(o => o.setName('pattern').setDescription('Word, or regex when regex:true').setRequired(true).setMaxLength(200))
+      .addBooleanOption(o => o.setName('regex').setDescription('Treat pattern as a regular expression').setRequired(false))),
+
   new SlashCommandBuilder().setName('kick').setDescription('Kick a member')
     .addUserOption(o => o.setName('user').setDescription('User to kick').setRequired(true))
     .addStringOption(o => o.setName('reason').setDescription('Reason').setRequired(false)),
@@ -169,6 +582,10 @@ const commands = [
     .addIntegerOption(o => o.setName('minutes').setDescription('Duration in minutes').setRequired(true))
     .addStringOption(o => o.setName('reason').setDescription('Reason').setRequired(false)),
 
+  new SlashCommandBuilder().setName('unban').setDescription('Unban a user by ID')
+    .addStringOption(o => o.setName('user_id').setDescription('Banned user ID').setRequired(true).setAutocomplete(true))
+    .addStringOption(o => o.setName('reason').setDescription('Reason').setRequired(false)),
+
   new SlashCommandBuilder().setName('timeout').setDescription('Timeout a member (minutes)')
     .addUserOption(o => o.setName('user').setDescription('User to timeout').setRequired(true))
     .addIntegerOption(o => o.setName('minutes').setDescription('Duration in minutes').setRequired(true))
@@ -177,8 +594,138 @@ const commands = [
   new SlashCommandBuilder().setName('untimeout').setDescription('Remove timeout from a member')
     .addUserOption(o => o.setName('user').setDescription('User to untimeout').setRequired(true)),
 
-  new SlashCommandBuilder().setName('purge').setDescription('Bulk delete messages (2-100)')
-    .addIntegerOption(o => o.setName('amount').setDescription('Amount 2-100').setRequired(true)),
+  new SlashCommandBuilder().setName('quarantine').setDescription("Jail a member: save and strip their roles, confine them to the holding channel")
+    .addUserOption(o => o.setName('user').setDescription('Member to quarantine').setRequired(true))
+    .addStringOption(o => o.setName('reason').setDescription('Reason').setRequired(true))
+    .addIntegerOption(o => o.setName('minutes').setDescription('Release automatically after this many minutes').setRequired(false).setMinValue(1).setMaxValue(QUARANTINE_MAX_MINUTES)),
+
+  new SlashCommandBuilder().setName('release').setDescription('Release a quarantined member and restore their roles')
+    .addUserOption(o => o.setName('user').setDescription('Member to release').setRequired(true))
+    .addStringOption(o => o.setName('reason').setDescription('Reason').setRequired(false)),
+
+  new SlashCommandBuilder().setName('modmail').setDescription('Answer and manage modmail threads')
+    .addSubcommand(sc => sc.setName('reply').setDescription('Send a reply to the user of this modmail thread')
+      .addStringOption(o => o.setName('message').setDescription('Reply').setRequired(true).setMaxLength(1800))
+      .addBooleanOption(o => o.setName('anonymous').setDescription('Hide your name (default: yes)').setRequired(false))
+      .addAttachmentOption(o => o.setName('attachment').setDescription('File to send').setRequired(false)))
+    .addSubcommand(sc => sc.setName('close').setDescription('Close this modmail thread and save the transcript')
+      .addStringOption(o => o.setName('reason').setDescription('Shown to the user').setRequired(false)))
+    .addSubcommand(sc => sc.setName('block').setDescription('Stop a user from opening modmail threads')
+      .addUserOption(o => o.setName('user').setDescription('User (default: this thread\'s user)').setRequired(false))
+      .addBooleanOption(o => o.setName('remove').setDescription('Unblock instead').setRequired(false))
+      .addStringOption(o => o.setName('reason').setDescription('Reason').setRequired(false))),
+
+  new SlashCommandBuilder().setName('case').setDescription('View or manage a case')
+    .addSubcommand(sc => sc.setName('view').setDescription('Show a case')
+      .addIntegerOption(o => o.setName('id').setDescription('Case ID').setRequired(true)))
+    .addSubcommand(sc => sc.setName('reason').setDescription('Amend the reason of a case')
+      .addIntegerOption(o => o.setName('id').setDescription('Case ID').setRequired(true))
+      .addStringOption(o => o.setName('text').setDescription('New reason').setRequired(true).setMaxLength(1000)))
+    .addSubcommand(sc => sc.setName('void').setDescription('Void a case (kept for history)')
+      .addIntegerOption(o => o.setName('id').setDescription('Case ID').setRequired(true))
+      .addStringOption(o => o.setName('justification').setDescription('Why the case is voided').setRequired(true).setMaxLength(1000))),
+
+  new SlashCommandBuilder().setName('history').setDescription("Page through a user's cases")
+    .addUserOption(o => o.setName('user').setDescription('User to view').setRequired(true)),
+
+  new SlashCommandBuilder().setName('note').setDescription('Private staff notes about a user')
+    .addSubcommand(sc => sc.setName('add').setDescription('Add a note')
+      .addUserOption(o => o.setName('user').setDescription('User').setRequired(true))
+      .addStringOption(o => o.setName('text').setDescription('Note').setRequired(true).setMaxLength(1000)))
+    .addSubcommand(sc => sc.setName('list').setDescription("List a user's notes")
+      .addUserOption(o => o.setName('user').setDescription('User').setRequired(true)))
+    .addSubcommand(sc => sc.setName('remove').setDescription('Remove a note')
+      .addIntegerOption(o => o.setName('id').setDescription('Note ID').setRequired(true))),
+
+  new SlashCommandBuilder().setName('userinfo').setDescription("Show a user's moderation profile")
+    .addUserOption(o => o.setName('user').setDescription('User').setRequired(true)),
+
+  new SlashCommandBuilder().setName('export').setDescription('Download cases and warnings as CSV or JSON')
+    .addStringOption(o => o.setName('format').setDescription('File format').setRequired(true)
+      .addChoices({ name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' }))
+    .addStringOption(o => o.setName('from').setDescription('From date, e.g. 2024-01-01').setRequired(false))
+    .addStringOption(o => o.setName('to').setDescription('To date (inclusive), e.g. 2024-03-31').setRequired(false))
+    .addStringOption(o => o.setName('action').setDescription('Action type(s), comma separated, e.g. Warn,Ban').setRequired(false))
+    .addUserOption(o => o.setName('moderator').setDescription('Only actions by this moderator').setRequired(false))
+    .addUserOption(o => o.setName('target').setDescription('Only actions against this user').setRequired(false)),
+
+  new SlashCommandBuilder().setName('import').setDescription('Import cases and warnings from an export file')
+    .addAttachmentOption(o => o.setName('file').setDescription('JSON export or cases/warnings CSV').setRequired(true)),
+
+  new SlashCommandBuilder().setName('modstats').setDescription('Moderator activity statistics')
+    .addUserOption(o => o.setName('moderator').setDescription('Only this moderator').setRequired(false))
+    .addStringOption(o => o.setName('period').setDescription('Time period (default 30 days)').setRequired(false)
+      .addChoices(...Object.entries(MODSTATS_PERIODS).map(([value, { label }]) => ({ name: label, value })))),
+
+  new SlashCommandBuilder().setName('digest').setDescription('Weekly moderation digest')
+    .addSubcommand(sc => sc.setName('enable').setDescription('Post a weekly summary to a channel')
+      .addChannelOption(o => o.setName('channel').setDescription('Channel').setRequired(true))
+      .addIntegerOption(o => o.setName('weekday').setDescription('Day to post (default Monday)').setRequired(false)
+        .addChoices(...WEEKDAYS.map((name, value) => ({ name, value }))))
+      .addIntegerOption(o => o.setName('hour').setDescription('Hour to post, UTC (default 9)').setRequired(false).setMinValue(0).setMaxValue(23)))
+    .addSubcommand(sc => sc.setName('disable').setDescription('Stop the weekly digest'))
+    .addSubcommand(sc => sc.setName('preview').setDescription('Show what the next digest would contain')),
+
+  new SlashCommandBuilder().setName('template').setDescription('Edit the messages users receive (DMs, acknowledgement threads) and staff alerts')
+    .addSubcommand(sc => sc.setName('list').setDescription('List templates and their locale overrides'))
+    .addSubcommand(sc => sc.setName('view').setDescription('Show a template and its placeholders')
+      .addStringOption(o => o.setName('key').setDescription('Template').setRequired(true)
+        .addChoices(...Object.keys(MESSAGE_TEMPLATES).map(k => ({ name: k, value: k }))))
+      .addStringOption(o => o.setName('locale').setDescription('Locale, e.g. en, de, pt-BR (default: built-in text)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('set').setDescription('Override a template for a locale')
+      .addStringOption(o => o.setName('key').setDescription('Template').setRequired(true)
+        .addChoices(...Object.keys(MESSAGE_TEMPLATES).map(k => ({ name: k, value: k }))))
+      .addStringOption(o => o.setName('locale').setDescription('Locale, e.g. en, de, pt-BR').setRequired(true))
+      .addStringOption(o => o.setName('text').setDescription('Text with {placeholders}; write \\n for a new line').setRequired(true).setMaxLength(2000)))
+    .addSubcommand(sc => sc.setName('reset').setDescription('Remove overrides and go back to the built-in text')
+      .addStringOption(o => o.setName('key').setDescription('Template').setRequired(true)
+        .addChoices(...Object.keys(MESSAGE_TEMPLATES).map(k => ({ name: k, value: k }))))
+      .addStringOption(o => o.setName('locale').setDescription('Only this locale (default: all)').setRequired(false))),
+
+  new SlashCommandBuilder().setName('pending-acks').setDescription('List acknowledgement threads that are still open'),
+
+  new SlashCommandBuilder().setName('antiraid').setDescription('Configure raid detection and raid mode')
+    .addSubcommand(sc => sc.setName('view').setDescription('Show anti-raid settings and raid mode status'))
+    .addSubcommand(sc => sc.setName('toggle').setDescription('Turn join-rate detection on or off')
+      .addBooleanOption(o => o.setName('enabled').setDescription('Enabled').setRequired(true)))
+    .addSubcommand(sc => sc.setName('set').setDescription('Change anti-raid thresholds')
+      .addIntegerOption(o => o.setName('joins').setDescription('Joins that trigger raid mode').setRequired(false).setMinValue(2))
+      .addIntegerOption(o => o.setName('window_seconds').setDescription('Window the joins are counted in').setRequired(false).setMinValue(5).setMaxValue(3600))
+      .addIntegerOption(o => o.setName('account_age_days').setDescription('Accounts younger than this are gated').setRequired(false).setMinValue(0).setMaxValue(365))
+      .addStringOption(o => o.setName('action').setDescription('What happens to gated joins').setRequired(false)
+        .addChoices({ name: 'Timeout', value: 'timeout' }, { name: 'Kick', value: 'kick' }))
+      .addIntegerOption(o => o.setName('timeout_minutes').setDescription('Timeout length for gated joins').setRequired(false).setMinValue(1).setMaxValue(40320))
+      .addIntegerOption(o => o.setName('raid_minutes').setDescription('How long raid mode lasts').setRequired(false).setMinValue(1).setMaxValue(1440))
+      .addBooleanOption(o => o.setName('always_gate').setDescription('Gate young accounts even outside raid mode').setRequired(false)))
+    .addSubcommand(sc => sc.setName('raidmode').setDescription('Start or end raid mode manually')
+      .addBooleanOption(o => o.setName('enabled').setDescription('Raid mode on').setRequired(true))
+      .addIntegerOption(o => o.setName('minutes').setDescription('Duration (default from settings)').setRequired(false).setMinValue(1).setMaxValue(1440))),
+
+  new SlashCommandBuilder().setName('lockdown').setDescription('Stop @everyone from sending messages in channels')
+    .addStringOption(o => o.setName('channels').setDescription('Channel mentions or IDs (default: this channel)').setRequired(false))
+    .addStringOption(o => o.setName('reason').setDescription('Reason').setRequired(false)),
+
+  new SlashCommandBuilder().setName('unlock').setDescription('Restore send permissions removed by /lockdown')
+    .addStringOption(o => o.setName('channels').setDescription('Channel mentions or IDs (default: this channel)').setRequired(false))
+    .addBooleanOption(o => o.setName('all').setDescription('Unlock every locked channel').setRequired(false))
+    .addStringOption(o => o.setName('reason').setDescription('Reason').setRequired(false)),
+
+  new SlashCommandBuilder().setName('slowmode').setDescription('Set slowmode on a channel')
+    .addIntegerOption(o => o.setName('seconds').setDescription('Seconds between messages (0 = off)').setRequired(true).setMinValue(0).setMaxValue(21600))
+    .addChannelOption(o => o.setName('channel').setDescription('Channel (default: this channel)').setRequired(false))
+    .addStringOption(o => o.setName('reason').setDescription('Reason').setRequired(false)),
+
+  ...Object.keys(CONTEXT_ACTIONS).map(name => new ContextMenuCommandBuilder().setName(name).setType(ApplicationCommandType.Message)),
+
+  new SlashCommandBuilder().setName('purge').setDescription('Delete recent messages, optionally filtered')
+    .addIntegerOption(o => o.setName('amount').setDescription(`Messages to delete (1-${PURGE_MAX})`).setRequired(true).setMinValue(1).setMaxValue(PURGE_MAX))
+    .addUserOption(o => o.setName('user').setDescription('Only messages from this user').setRequired(false))
+    .addBooleanOption(o => o.setName('bots').setDescription('Only messages from bots').setRequired(false))
+    .addStringOption(o => o.setName('contains').setDescription('Only messages containing this text').setRequired(false))
+    .addBooleanOption(o => o.setName('links').setDescription('Only messages with links').setRequired(false))
+    .addBooleanOption(o => o.setName('attachments').setDescription('Only messages with attachments').setRequired(false))
+    .addStringOption(o => o.setName('before').setDescription('Only messages before this message ID').setRequired(false))
+    .addStringOption(o => o.setName('after').setDescription('Only messages after this message ID').setRequired(false)),
 ];
 
 // Register slash commands
@@ -196,24 +743,661 @@ const rest = new REST({ version: '10' }).setToken(config.DISCORD_TOKEN);
   }
 })();
 
+// ---------- Case view helpers ----------
+const HISTORY_PAGE_SIZE = 5;
+
+function truncate(text, max) {
+  const str = String(text ?? '');
+  return str.length > max ? `${str.slice(0, max - 1)}…` : str;
+}
+
+// guildId is optional for internal lookups (scheduled jobs); commands always pass it.
+function findCase(caseId, guildId) {
+  return cases.records.find(r => r.caseId === caseId && (!guildId || inGuild(r, guildId))) || null;
+}
+
+function buildCaseEmbed(record) {
+  const embed = new EmbedBuilder()
+    .setTitle(`Case ${record.caseId}: ${record.action}${record.voided ? ' (VOID)' : ''}`)
+    .addFields(
+      { name: 'Moderator', value: `<@${record.moderatorId}>`, inline: true },
+      { name: 'Target', value: `<@${record.targetUserId}>`, inline: true },
+      { name: 'Reason', value: truncate(record.reason, 1024), inline: false }
+    )
+    .setTimestamp(new Date(record.timestamp))
+    .setColor(record.voided ? 0x666666 : 0x3399ff);
+  Object.entries(record.extra || {}).forEach(([k, v]) => {
+    embed.addFields({ name: String(k), value: truncate(v, 1024) || '—', inline: true });
+  });
+  if (record.edits?.length) {
+    const lines = record.edits.slice(-5).map(e => `<t:${Math.floor(Date.parse(e.timestamp) / 1000)}:f> by <@${e.moderatorId}>: ${e.oldReason}`);
+    embed.addFields({ name: `Previous reasons (${record.edits.length})`, value: truncate(lines.join('\n'), 1024) });
+  }
+  if (record.ack) {
+    const when = record.ack.acknowledgedAt ? ` at <t:${Math.floor(Date.parse(record.ack.acknowledgedAt) / 1000)}:f>` : '';
+    embed.addFields({ name: 'Acknowledgement', value: `${record.ack.status}${when} • ${record.ack.remindersSent} reminder(s)${record.ack.transcript ? ` • transcript: ${record.ack.transcript.length} message(s)` : ''}` });
+  }
+  if (record.evidence) embed.addFields(evidenceFields(record.evidence));
+  if (record.dm) embed.addFields({ name: 'DM', value: `${describeDm(record.dm)} • <t:${Math.floor(Date.parse(record.dm.at) / 1000)}:f>` });
+  if (record.source === 'manual') {
+    embed.addFields({ name: 'Source', value: 'Done in the Discord client (from the audit log)' });
+  }
+  if (record.transcript) {
+    embed.addFields({ name: 'Transcript', value: `${record.transcript.length} message(s) saved on the case` });
+  }
+  if (record.voided) {
+    embed.addFields({ name: 'Voided', value: truncate(`By <@${record.voided.moderatorId}>: ${record.voided.reason}`, 1024) });
+  }
+  return embed;
+}
+
+// Returns { embeds, components } for one page of a user's case history.
+function buildHistoryPage(guildId, user, page) {
+  const records = cases.records.filter(r => r.targetUserId === user.id && inGuild(r, guildId)).reverse();
+  const pageCount = Math.max(1, Math.ceil(records.length / HISTORY_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pageCount - 1);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Case history for ${user.tag}`)
+    .setDescription(records.length ? `Total cases: ${records.length}` : 'No cases on record.')
+    .setFooter({ text: `Page ${page + 1}/${pageCount}` })
+    .setTimestamp();
+
+  records.slice(page * HISTORY_PAGE_SIZE, (page + 1) * HISTORY_PAGE_SIZE).forEach(r => {
+    const name = `#${r.caseId} ${r.action} — ${new Date(r.timestamp).toLocaleString()}`;
+    const value = `By <@${r.moderatorId}> — ${truncate(r.reason, 900)}`;
+    embed.addFields({ name: r.voided ? `~~${name}~~ (void)` : name, value });
+  });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`history_${user.id}_${page - 1}`)
+      .setLabel('◀ Prev')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`history_${user.id}_${page + 1}`)
+      .setLabel('Next ▶')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1)
+  );
+  return { embeds: [embed], components: [row] };
+}
+
 // ---------- Warning helpers ----------
-function addWarning(userId, moderatorId, reason) {
-  const id = warnings.length ? Math.max(...warnings.map(w => w.id)) + 1 : 1;
-  const warning = { id, userId, moderatorId, reason: reason || 'No reason', timestamp: new Date().toISOString() };
+function addWarning(guildId, userId, moderatorId, reason) {
+  const id = warningCounter.nextWarningId++;
+  storage.saveDocument('warningCounter', warningCounter);
+  const warning = { id, guildId, userId, moderatorId, reason: reason || 'No reason', timestamp: new Date().toISOString() };
   warnings.push(warning);
-  saveJson(WARNINGS_FILE, warnings);
+  storage.saveWarning(warning, warnings);
+  return warning;
+}
+
+function getWarningsFor(guildId, userId) {
+  return warnings.filter(w => w.userId === userId && inGuild(w, guildId));
+}
+
+// Marks warnings older than WARNING_EXPIRY_DAYS as expired. Expired warnings
+// stay in warnings.json for history but no longer count towards escalation.
+function refreshWarningExpiry() {
+  if (!config.WARNING_EXPIRY_DAYS) return;
+  const cutoff = Date.now() - config.WARNING_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+  const expired = warnings.filter(w => !w.expiredAt && Date.parse(w.timestamp) < cutoff);
+  if (!expired.length) return;
+  const now = new Date().toISOString();
+  expired.forEach(w => { w.expiredAt = now; });
+  storage.saveWarnings(expired, warnings); // one write for the whole batch
+}
+
+function getActiveWarningsFor(guildId, userId) {
+  refreshWarningExpiry();
+  return getWarningsFor(guildId, userId).filter(w => !w.expiredAt);
+}
+
+function removeWarning(guildId, warningId) {
+  const warning = warnings.find(w => w.id === warningId && inGuild(w, guildId));
+  if (!warning) return null;
+  warnings = warnings.filter(w => w !== warning);
+  storage.deleteWarnings([warning.id], warnings);
   return warning;
 }
 
-function getWarningsFor(userId) {
-  return warnings.filter(w => w.userId === userId);
+// Removes the warning a Warn case created. Only touches a warning that belongs
+// to the case's user and whose Warn case is this one, so a stale or imported
+// warningId cannot take out someone else's warning.
+function removeCaseWarning(guildId, record) {
+  const warning = warnings.find(w => w.id === record.extra?.warningId && w.userId === record.targetUserId && inGuild(w, guildId));
+  if (!warning) return null;
+  const warnCase = cases.records.find(r => r.action === 'Warn' && r.extra?.warningId === warning.id && r.targetUserId === warning.userId && inGuild(r, guildId));
+  if (warnCase?.caseId !== record.caseId) return null;
+  return removeWarning(guildId, warning.id);
+}
+
+const WARNINGS_PAGE_SIZE = 10;
+
+// Returns { embeds, components } for one page of a user's warnings, active first.
+function buildWarningsPage(guildId, user, page) {
+  refreshWarningExpiry();
+  const all = getWarningsFor(guildId, user.id).reverse();
+  const active = all.filter(w => !w.expiredAt);
+  const expired = all.filter(w => w.expiredAt);
+  const entries = active.map(w => ({ w, label: 'Active' })).concat(expired.map(w => ({ w, label: 'Expired' })));
+  const pageCount = Math.max(1, Math.ceil(entries.length / WARNINGS_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pageCount - 1);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Warnings for ${user.tag}`)
+    .setDescription(`Active: ${active.length} • Expired: ${expired.length}`)
+    .setFooter({ text: `Page ${page + 1}/${pageCount}` })
+    .setTimestamp();
+
+  entries.slice(page * WARNINGS_PAGE_SIZE, (page + 1) * WARNINGS_PAGE_SIZE).forEach(({ w, label }) => {
+    embed.addFields({ name: `[${label}] ID ${w.id} — ${new Date(w.timestamp).toLocaleString()}`, value: truncate(`By <@${w.moderatorId}> — ${w.reason}`, 1024) });
+  });
+
+  const components = pageCount > 1 ? [new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`warnings_${user.id}_${page - 1}`)
+      .setLabel('◀ Prev')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`warnings_${user.id}_${page + 1}`)
+      .setLabel('Next ▶')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1)
+  )] : [];
+  return { embeds: [embed], components };
+}
+
+function clearWarningsFor(guildId, userId) {
+  const removed = getWarningsFor(guildId, userId);
+  warnings = warnings.filter(w => !removed.includes(w));
+  storage.deleteWarnings(removed.map(w => w.id), warnings);
+  return removed.length;
 }
 
-function clearWarningsFor(userId) {
-  const before = warnings.length;
-  warnings = warnings.filter(w => w.userId !== userId);
-  saveJson(WARNINGS_FILE, warnings);
-  return before - warnings.length;
+// ---------- Staff notes ----------
+function addNote(guildId, userId, authorId, text) {
+  const note = { id: notes.nextNoteId++, guildId, userId, authorId, text, timestamp: new Date().toISOString() };
+  notes.records.push(note);
+  storage.saveDocument('notes', notes);
+  return note;
+}
+
+function getNotesFor(guildId, userId) {
+  return notes.records.filter(n => n.guildId === guildId && n.userId === userId);
+}
+
+function removeNote(guildId, noteId) {
+  const note = notes.records.find(n => n.id === noteId && n.guildId === guildId);
+  if (!note) return null;
+  notes.records = notes.records.filter(n => n !== note);
+  storage.saveDocument('notes', notes);
+  return note;
+}
+
+// ---------- Export / import ----------
+// Filters: guild, user, moderator, action (comma separated), from/to (ISO dates), q (reason text).
+// Used by /export and the HTTP API.
+function filterCases(query) {
+  const actions = query.action ? String(query.action).toLowerCase().split(',') : null;
+  const from = query.from ? Date.parse(query.from) : null;
+  const to = query.to ? Date.parse(query.to) : null;
+  const text = query.q ? String(query.q).toLowerCase() : null;
+  return cases.records.filter(r => {
+    if (query.guild && !inGuild(r, query.guild)) return false;
+    if (query.user && r.targetUserId !== query.user) return false;
+    if (query.moderator && r.moderatorId !== query.moderator) return false;
+    if (actions && !actions.includes(r.action.toLowerCase())) return false;
+    const ts = Date.parse(r.timestamp);
+    if (from && ts < from) return false;
+    if (to && ts > to) return false;
+    if (text && !String(r.reason).toLowerCase().includes(text)) return false;
+    return true;
+  });
+}
+
+function filterWarnings(query) {
+  const from = query.from ? Date.parse(query.from) : null;
+  const to = query.to ? Date.parse(query.to) : null;
+  return warnings.filter(w => {
+    if (query.guild && !inGuild(w, query.guild)) return false;
+    if (query.user && w.userId !== query.user) return false;
+    if (query.moderator && w.moderatorId !== query.moderator) return false;
+    const ts = Date.parse(w.timestamp);
+    if (from && ts < from) return false;
+    if (to && ts > to) return false;
+    return true;
+  });
+}
+
+const CASE_CSV_COLUMNS = ['caseId', 'guildId', 'action', 'moderatorId', 'targetUserId', 'reason', 'timestamp', 'extra', 'voided'];
+const WARNING_CSV_COLUMNS = ['id', 'guildId', 'userId', 'moderatorId', 'reason', 'timestamp', 'expiredAt'];
+const JSON_CSV_COLUMNS = ['extra', 'voided']; // object columns, stored as JSON text
+// extra keys holding another case's ID; rewritten to the new IDs on import
+const CASE_REFERENCE_KEYS = ['acknowledgedCase', 'appealedCase', 'banCase', 'editedCase', 'overdueCase', 'quarantineCase', 'raidModeCase', 'tempbanCase', 'triggeredByCase', 'voidedCase', 'warnCase'];
+
+function csvCell(value) {
+  const str = value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(rows, columns) {
+  return [columns.join(','), ...rows.map(row => columns.map(col => csvCell(row[col])).join(','))].join('\r\n');
+}
+
+// Minimal RFC 4180 parser; returns one object per row keyed by the header.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  const [header = [], ...data] = rows.filter(r => r.some(Boolean));
+  return data.map(r => Object.fromEntries(header.map((col, i) => {
+    const value = r[i] ?? '';
+    if (!JSON_CSV_COLUMNS.includes(col)) return [col, value];
+    try { return [col, value ? JSON.parse(value) : undefined]; } catch (err) { return [col, value]; }
+  })));
+}
+
+const SNOWFLAKE_REGEX = /^\d{15,21}$/;
+
+// Returns why an imported case can't be used, or null.
+function validateImportedCase(r) {
+  if (!r || typeof r !== 'object') return 'not an object';
+  if (typeof r.action !== 'string' || !r.action.trim()) return 'missing action';
+  if (!SNOWFLAKE_REGEX.test(String(r.targetUserId))) return 'invalid targetUserId';
+  if (!SNOWFLAKE_REGEX.test(String(r.moderatorId))) return 'invalid moderatorId';
+  if (!r.timestamp || Number.isNaN(Date.parse(r.timestamp))) return 'invalid timestamp';
+  if (r.extra !== undefined && (typeof r.extra !== 'object' || Array.isArray(r.extra))) return 'extra is not an object';
+  if (r.edits !== undefined && (!Array.isArray(r.edits) || r.edits.some(e => !e || typeof e.oldReason !== 'string' || Number.isNaN(Date.parse(e.timestamp))))) return 'invalid edits';
+  if (r.voided && (typeof r.voided !== 'object' || typeof r.voided.reason !== 'string')) return 'invalid voided';
+  if (r.transcript !== undefined && (!Array.isArray(r.transcript) || r.transcript.some(e => !e || typeof e.content !== 'string' || !Array.isArray(e.attachments)))) return 'invalid transcript';
+  return null;
+}
+
+function validateImportedWarning(w) {
+  if (!w || typeof w !== 'object') return 'not an object';
+  if (!SNOWFLAKE_REGEX.test(String(w.userId))) return 'invalid userId';
+  if (!SNOWFLAKE_REGEX.test(String(w.moderatorId))) return 'invalid moderatorId';
+  if (!w.timestamp || Number.isNaN(Date.parse(w.timestamp))) return 'invalid timestamp';
+  return null;
+}
+
+/**
+ * Adds exported cases/warnings to guildId. Cases get fresh IDs from
+ * cases.nextCaseId and remember where they came from (importedFrom), so
+ * importing the same file twice skips the duplicates; warnings do the same.
+ * Warnings go first so the warningId and case references in `extra` can be
+ * pointed at the new IDs; references that don't resolve are dropped. A
+ * warningId whose warning hasn't been imported yet is kept in importedFrom
+ * and linked when it arrives, since a CSV export splits cases and warnings
+ * into two files. Open acknowledgements are dropped since their threads and
+ * jobs don't carry over.
+ * Returns { cases, warnings, skipped: [reason] }.
+ */
+function importRecords(guildId, data) {
+  const skipped = [];
+
+  const importedWarnings = [];
+  // "sourceGuild:sourceWarning" -> local warning ID, including warnings imported earlier
+  const warningIds = new Map(warnings.filter(w => w.importedFrom?.id && inGuild(w, guildId)).map(w => [`${w.importedFrom.guildId}:${w.importedFrom.id}`, w.id]));
+  (data.warnings || []).forEach((raw, index) => {
+    const label = `warning ${raw?.id ?? `row ${index + 1}`}`;
+    const problem = validateImportedWarning(raw);
+    if (problem) return skipped.push(`${label}: ${problem}`);
+    const source = { guildId: raw.guildId || null, id: Number(raw.id) || null };
+    const key = `${source.guildId}:${source.id}`;
+    if (source.id && warningIds.has(key)) return skipped.push(`${label}: already imported`);
+    const duplicate = warnings.concat(importedWarnings).find(w => inGuild(w, guildId) && w.userId === String(raw.userId) && w.timestamp === new Date(raw.timestamp).toISOString() && w.reason === (raw.reason || 'No reason'));
+    if (duplicate) {
+      if (source.id) warningIds.set(key, duplicate.id);
+      return skipped.push(`${label}: already imported`);
+    }
+    const warning = {
+      id: warningCounter.nextWarningId++,
+      guildId,
+      userId: String(raw.userId),
+      moderatorId: String(raw.moderatorId),
+      reason: raw.reason || 'No reason',
+      timestamp: new Date(raw.timestamp).toISOString(),
+      importedFrom: source
+    };
+    if (raw.expiredAt) warning.expiredAt = raw.expiredAt;
+    if (source.id) warningIds.set(key, warning.id);
+    importedWarnings.push(warning);
+  });
+
+  const importedCases = [];
+  // "sourceGuild:sourceCase" -> local case ID, including cases imported earlier
+  const caseIds = new Map(cases.records.filter(r => r.importedFrom && inGuild(r, guildId)).map(r => [`${r.importedFrom.guildId}:${r.importedFrom.caseId}`, r.caseId]));
+  const pending = []; // [record, source guild ID] whose extra still holds exported IDs
+
+  (data.cases || []).forEach((raw, index) => {
+    const label = `case ${raw?.caseId ?? `row ${index + 1}`}`;
+    const problem = validateImportedCase(raw);
+    if (problem) return skipped.push(`${label}: ${problem}`);
+    const source = { guildId: raw.guildId || null, caseId: Number(raw.caseId) || null };
+    const key = `${source.guildId}:${source.caseId}`;
+    if (source.caseId && caseIds.has(key)) return skipped.push(`${label}: already imported`);
+    if (source.guildId === guildId && cases.records.some(r => r.caseId === source.caseId && r.timestamp === raw.timestamp)) {
+      caseIds.set(key, source.caseId);
+      return skipped.push(`${label}: already in this server`);
+    }
+
+    const record = {
+      caseId: cases.nextCaseId++,
+      guildId,
+      action: raw.action.trim(),
+      moderatorId: String(raw.moderatorId),
+      targetUserId: String(raw.targetUserId),
+      reason: raw.reason ? String(raw.reason) : 'No reason provided',
+      timestamp: new Date(raw.timestamp).toISOString(),
+      extra: { ...raw.extra },
+      importedFrom: source
+    };
+    if (source.caseId) caseIds.set(key, record.caseId);
+    ['edits', 'voided', 'transcript'].forEach(key => { if (raw[key]) record[key] = raw[key]; });
+    if (raw.ack?.status === 'acknowledged') record.ack = raw.ack;
+    importedCases.push(record);
+    pending.push([record, source.guildId]);
+  });
+
+  pending.forEach(([record, sourceGuildId]) => {
+    const { extra } = record;
+    if ('warningId' in extra) {
+      const local = warningIds.get(`${sourceGuildId}:${Number(extra.warningId)}`);
+      if (!local && Number(extra.warningId)) record.importedFrom.warningId = Number(extra.warningId);
+      if (local) extra.warningId = local;
+      else delete extra.warningId;
+    }
+    CASE_REFERENCE_KEYS.filter(k => k in extra).forEach(k => {
+      const local = caseIds.get(`${sourceGuildId}:${Number(extra[k])}`);
+      if (local) extra[k] = local;
+      else delete extra[k];
+    });
+    delete extra.appeal; // appeal IDs belong to the source server's appeals store
+  });
+
+  if (importedWarnings.length) {
+    storage.saveDocument('warningCounter', warningCounter);
+    warnings.push(...importedWarnings);
+    storage.saveWarnings(importedWarnings, warnings);
+  }
+  // cases from an earlier import whose warnings arrived in this one
+  const linked = cases.records.filter(r => r.importedFrom?.warningId && inGuild(r, guildId) && warningIds.has(`${r.importedFrom.guildId}:${r.importedFrom.warningId}`));
+  linked.forEach(r => {
+    r.extra = { ...r.extra, warningId: warningIds.get(`${r.importedFrom.guildId}:${r.importedFrom.warningId}`) };
+    delete r.importedFrom.warningId;
+  });
+  if (linked.length) storage.saveCases(linked, cases);
+  if (importedCases.length) {
+    cases.records.push(...importedCases);
+    storage.saveCases(importedCases, cases);
+  }
+  return { cases: importedCases.length, warnings: importedWarnings.length, skipped };
+}
+
+// ---------- Scheduled jobs (persistent timers) ----------
+// Jobs live in the 'schedule' store so pending unbans etc. survive restarts.
+// Add a handler to jobHandlers to support a new job type.
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout overflows past ~24.8 days
+const jobTimers = new Map(); // jobId -> Timeout
+const JOB_RETRY_BASE_MS = 60 * 1000; // doubles per failed attempt
+const JOB_RETRY_MAX_MS = 60 * 60 * 1000;
+const JOB_MAX_ATTEMPTS = 20;
+// Discord error codes retrying can't fix: unknown channel, guild, member, user, ban
+const PERMANENT_JOB_ERRORS = new Set([10003, 10004, 10007, 10013, 10026]);
+
+const jobHandlers = {
+  // payload: { guildId, userId, caseId }
+  async unban(job) {
+    const { guildId, userId, caseId } = job.payload;
+    const g = await client.guilds.fetch(guildId);
+    await g.bans.remove(userId, 'Tempban expired');
+    const unbanRecord = nextCase(g.id, 'AutoUnban', client.user.id, userId, 'Tempban expired', { tempbanCase: caseId });
+    await sendModLog(g, { ...unbanRecord, color: 0x00aa00 });
+  },
+
+  // payload: { caseId }
+  async ackReminder(job) {
+    const record = findCase(job.payload.caseId);
+    if (record?.ack?.status !== 'pending') return;
+    const thread = await client.channels.fetch(record.ack.threadId).catch(() => null);
+    if (!thread) return;
+    const g = await client.guilds.fetch(record.ack.guildId);
+    await thread.send(renderTemplate(g, 'ack.reminder', { caseId: record.caseId, deadline: `<t:${Math.floor(record.ack.deadlineAt / 1000)}:R>` }, record.targetUserId).text);
+    record.ack.remindersSent++;
+    saveCase(record);
+    const next = Date.now() + config.ACK_REMINDER_MINUTES * 60 * 1000;
+    if (next < record.ack.deadlineAt) scheduleJob('ackReminder', next, { caseId: record.caseId });
+  },
+
+  // payload: { caseId }
+  async ackDeadline(job) {
+    const record = findCase(job.payload.caseId);
+    if (record?.ack?.status !== 'pending') return;
+
+    // stays pending until the AckOverdue case exists, so a failed run is retried
+    const g = await client.guilds.fetch(record.ack.guildId);
+    const extra = { overdueCase: record.caseId, thread: `<#${record.ack.threadId}>` };
+    if (config.ACK_EXTEND_TIMEOUT_MINUTES && (record.action === 'Warn' || record.action === 'Timeout')) {
+      const member = await g.members.fetch(record.targetUserId).catch(() => null);
+      const extended = await member?.timeout(config.ACK_EXTEND_TIMEOUT_MINUTES * 60 * 1000, `Case ${record.caseId} not acknowledged`).catch(() => null);
+      if (extended) extra.timeoutExtendedMinutes = config.ACK_EXTEND_TIMEOUT_MINUTES;
+    }
+    const overdueRecord = nextCase(g.id, 'AckOverdue', client.user.id, record.targetUserId, `Case ${record.caseId} was not acknowledged within ${config.ACK_DEADLINE_HOURS}h`, extra);
+    record.ack.status = 'overdue';
+    saveCase(record);
+    await sendModLog(g, { ...overdueRecord, color: 0xff3366 });
+  },
+
+  // payload: { guildId, userId, caseId } - caseId of the Quarantine case
+  async release(job) {
+    const { guildId, caseId } = job.payload;
+    const g = await client.guilds.fetch(guildId);
+    const record = findCase(caseId, guildId);
+    if (!record?.quarantine || record.quarantine.releasedAt) return;
+    await releaseQuarantine({ guild: g, moderatorId: client.user.id, record, reason: 'Quarantine expired' });
+  },
+
+  // payload: { guildId } - reschedules itself for the following week
+  async weeklyDigest(job) {
+    const { digest } = getGuildConfig(job.payload.guildId);
+    if (!digest.enabled) return;
+    scheduleDigest(job.payload.guildId);
+    const g = await client.guilds.fetch(job.payload.guildId);
+    const ch = await g.channels.fetch(digest.channelId).catch(() => null);
+    if (!ch) return console.warn(`Digest channel ${digest.channelId} not found in guild ${g.id}`);
+    await ch.send({ embeds: [buildModStatsEmbed(g, computeModStats(g.id, Date.now() - MODSTATS_PERIODS['7d'].ms), '📊 Weekly moderation digest')] });
+  },
+
+  // payload: { guildId, caseId } - caseId of the RaidMode case that started it
+  async raidModeEnd(job) {
+    const { raidMode } = getGuildConfig(job.payload.guildId);
+    if (raidMode?.caseId !== job.payload.caseId) return;
+    // further joins may have pushed the end back
+    if (raidMode.until > Date.now() + 1000) {
+      scheduleJob('raidModeEnd', raidMode.until, job.payload);
+      return;
+    }
+    const g = await client.guilds.fetch(job.payload.guildId);
+    await endRaidMode(g, client.user.id, 'Raid mode expired');
+  }
+};
+
+function scheduleJob(type, runAt, payload) {
+  if (!jobHandlers[type]) throw new Error(`Unknown job type: ${type}`);
+  const job = { id: schedule.nextJobId++, type, runAt, payload, createdAt: new Date().toISOString() };
+  schedule.jobs.push(job);
+  storage.saveDocument('schedule', schedule);
+  armJob(job);
+  return job;
+}
+
+// Cancel every pending job matching predicate; returns the removed jobs.
+function cancelJobs(predicate) {
+  const removed = schedule.jobs.filter(predicate);
+  if (!removed.length) return removed;
+  removed.forEach(job => {
+    clearTimeout(jobTimers.get(job.id));
+    jobTimers.delete(job.id);
+  });
+  schedule.jobs = schedule.jobs.filter(job => !removed.includes(job));
+  storage.saveDocument('schedule', schedule);
+  return removed;
+}
+
+// A newer ban or an unban supersedes any pending tempban expiry for the user.
+function cancelPendingUnban(guildId, userId) {
+  return cancelJobs(j => j.type === 'unban' && j.payload.guildId === guildId && j.payload.userId === userId);
+}
+
+function getPendingJobs(predicate = () => true) {
+  return schedule.jobs.filter(predicate);
+}
+
+function armJob(job) {
+  clearTimeout(jobTimers.get(job.id));
+  const delay = Math.max(0, job.runAt - Date.now());
+  // long jobs re-arm in chunks until they are due
+  const timer = setTimeout(() => (delay > MAX_TIMER_MS ? armJob(job) : runJob(job)), Math.min(delay, MAX_TIMER_MS));
+  jobTimers.set(job.id, timer);
+}
+
+async function runJob(job) {
+  jobTimers.delete(job.id);
+  if (!schedule.jobs.some(j => j.id === job.id)) return; // cancelled meanwhile
+
+  // the job stays stored until its handler succeeds, so a Discord outage or
+  // a restart mid-run retries it instead of losing it
+  try {
+    await jobHandlers[job.type](job);
+  } catch (err) {
+    job.attempts = (job.attempts || 0) + 1;
+    const permanent = PERMANENT_JOB_ERRORS.has(err.code);
+    // the handler may have cancelled the job itself (e.g. release, digest)
+    if (!permanent && job.attempts < JOB_MAX_ATTEMPTS && schedule.jobs.includes(job)) {
+      job.runAt = Date.now() + Math.min(JOB_RETRY_BASE_MS * 2 ** (job.attempts - 1), JOB_RETRY_MAX_MS);
+      storage.saveDocument('schedule', schedule);
+      armJob(job);
+      console.error(`Scheduled job ${job.id} (${job.type}) failed, retrying at ${new Date(job.runAt).toISOString()} (attempt ${job.attempts}):`, err);
+      return;
+    }
+    console.error(`Scheduled job ${job.id} (${job.type}) failed${permanent ? ' permanently' : ` after ${job.attempts} attempt(s)`}; dropping it:`, err);
+  }
+  schedule.jobs = schedule.jobs.filter(j => j.id !== job.id);
+  storage.saveDocument('schedule', schedule);
+}
+
+// Called on ready: arms every stored job, overdue ones run immediately.
+function loadScheduledJobs() {
+  let overdue = 0;
+  schedule.jobs.forEach(job => {
+    if (!jobHandlers[job.type]) {
+      console.warn(`Skipping scheduled job ${job.id} with unknown type ${job.type}`);
+      return;
+    }
+    if (job.runAt <= Date.now()) overdue++;
+    armJob(job);
+  });
+  console.log(`Loaded ${schedule.jobs.length} scheduled job(s), ${overdue} overdue.`);
+}
+
+// ---------- Escalation ladder ----------
+const ESCALATION_LABELS = { timeout: 'Timeout', kick: 'Kick', tempban: 'TempBan', ban: 'Ban' };
+
+function getEscalationStep(guildId, warningCount) {
+  return getGuildConfig(guildId).escalation.steps.find(step => step.warnings === warningCount) || null;
+}
+
+function describeEscalationStep(step) {
+  const label = ESCALATION_LABELS[step.action];
+  return step.minutes ? `${label} (${step.minutes} min)` : label;
+}
+
+/**
+ * Apply an escalation step triggered by a warning. Runs as the bot and
+ * records its own case linked to the triggering warn case.
+ * Returns the escalation case record or null if the action failed.
+ */
+async function applyEscalation({ guild, step, targetUser, targetMember, warning, warnCase }) {
+  const action = ESCALATION_LABELS[step.action];
+  const reason = `Automatic escalation: ${step.warnings} active warnings (warn case ${warnCase.caseId})`;
+  const extra = { triggeredByCase: warnCase.caseId, warningId: warning.id, step: describeEscalationStep(step) };
+
+  let dm = null;
+  try {
+    if (step.action === 'timeout') {
+      if (!targetMember) return null;
+      await targetMember.timeout(step.minutes * 60 * 1000, reason);
+    } else if (step.action === 'kick') {
+      if (!targetMember) return null;
+      dm = await sendTemplatedDm(targetUser, guild, 'dm.kick', { reason });
+      await targetMember.kick(reason);
+    } else if (step.action === 'tempban') {
+      const components = banAppealComponents(guild.id);
+      dm = await sendTemplatedDm(targetUser, guild, 'dm.tempban', { reason, duration: formatDuration(step.minutes), appeal: appealInfo(guild, targetUser.id, components) }, components);
+      await guild.members.ban(targetUser.id, { reason });
+    } else if (step.action === 'ban') {
+      const components = banAppealComponents(guild.id);
+      dm = await sendTemplatedDm(targetUser, guild, 'dm.ban', { reason, appeal: appealInfo(guild, targetUser.id, components) }, components);
+      await guild.members.ban(targetUser.id, { reason });
+    }
+  } catch (err) {
+    console.error(`Escalation ${step.action} failed:`, err);
+    return null;
+  }
+
+  if (step.action === 'timeout') extra.durationMinutes = step.minutes;
+  if (step.action === 'tempban' || step.action === 'ban') cancelPendingUnban(guild.id, targetUser.id);
+  if (step.action === 'tempban') extra.expiresAt = Date.now() + step.minutes * 60 * 1000;
+
+  const caseRecord = nextCase(guild.id, action, client.user.id, targetUser.id, reason, extra);
+  if (dm) {
+    caseRecord.dm = dm;
+    saveCase(caseRecord);
+  }
+  await sendModLog(guild, { ...caseRecord, color: 0xcc3300 });
+
+  if (step.action === 'tempban') {
+    scheduleJob('unban', extra.expiresAt, { guildId: guild.id, userId: targetUser.id, caseId: caseRecord.caseId });
+  }
+  if (step.action === 'timeout') {
+    await createAcknowledgementThread({
+      guild,
+      user: targetUser,
+      title: renderTemplate(guild, 'ack.timeout.title', { caseId: caseRecord.caseId }, targetUser.id).text,
+      description: renderTemplate(guild, 'ack.escalation.description', { reason: warning.reason, duration: formatDuration(step.minutes), warnings: step.warnings, caseId: caseRecord.caseId }, targetUser.id).text,
+      caseId: caseRecord.caseId,
+      actionType: 'Timeout',
+      ackRemovesTimeout: false
+    });
+  }
+  return caseRecord;
 }
 
 // ---------- Acknowledgement thread helper ----------
@@ -230,13 +1414,15 @@ function clearWarningsFor(userId) {
  *  - actionType: string
  *  - ackRemovesTimeout: boolean (if true, pressing ack will remove timeout)
  */
-async function createAcknowledgementThread({ guild, user, title, description, caseId, actionType, ackRemovesTimeout = false }) {
-  if (!config.RULES_CHANNEL_ID) {
-    console.warn('RULES_CHANNEL_ID not set; cannot create acknowledgement thread.');
+// channelId overrides the rules channel (quarantined members can't see it).
+async function createAcknowledgementThread({ guild, user, title, description, caseId, actionType, ackRemovesTimeout = false, channelId = null, evidence = null }) {
+  const rulesChannelId = channelId || getGuildConfig(guild.id).rulesChannelId;
+  if (!rulesChannelId) {
+    console.warn(`Rules channel not configured for guild ${guild.id}; cannot create acknowledgement thread.`);
     return null;
   }
   try {
-    const rulesChannel = await guild.channels.fetch(config.RULES_CHANNEL_ID).catch(() => null);
+    const rulesChannel = await guild.channels.fetch(rulesChannelId).catch(() => null);
     if (!rulesChannel) {
       console.warn('Rules channel not found or bot lacks access.');
       return null;
@@ -263,6 +1449,7 @@ async function createAcknowledgementThread({ guild, user, title, description, ca
         { name: 'Action', value: actionType, inline: true }
       )
       .setTimestamp();
+    if (evidence) embed.addFields(evidenceFields(evidence));
 
     const ackButton = new ActionRowBuilder().addComponents(
       new ButtonBuilder()
@@ -270,24 +1457,1913 @@ async function createAcknowledgementThread({ guild, user, title, description, ca
         .setLabel('Acknowledge Consequence')
         .setStyle(ButtonStyle.Primary)
     );
+    if (actionType === 'Warn' && getGuildConfig(guild.id).appealsChannelId) {
+      ackButton.addComponents(appealButton(guild.id, caseId));
+    }
+
+    await thread.send({ embeds: [embed], components: [ackButton] });
+    trackAcknowledgement(caseId, thread);
+
+    return thread;
+  } catch (err) {
+    console.error('Failed to create acknowledgement thread:', err);
+    return null;
+  }
+}
+
+// Stores the thread on the case and schedules reminder pings and the deadline.
+function trackAcknowledgement(caseId, thread) {
+  const record = findCase(caseId);
+  if (!record) return;
+  const now = Date.now();
+  record.ack = {
+    threadId: thread.id,
+    guildId: thread.guild.id,
+    status: 'pending', // pending -> acknowledged | overdue -> acknowledged
+    openedAt: new Date(now).toISOString(),
+    deadlineAt: now + config.ACK_DEADLINE_HOURS * 60 * 60 * 1000,
+    remindersSent: 0
+  };
+  saveCase(record);
+  const firstReminder = now + config.ACK_REMINDER_MINUTES * 60 * 1000;
+  if (firstReminder < record.ack.deadlineAt) scheduleJob('ackReminder', firstReminder, { caseId });
+  scheduleJob('ackDeadline', record.ack.deadlineAt, { caseId });
+}
+
+// Saves the thread's messages (oldest first) on the case before it is deleted.
+async function saveAckTranscript(record, thread) {
+  const messages = await thread.messages.fetch({ limit: 100 }).catch(() => null);
+  if (!messages) return;
+  record.ack.transcript = [...messages.values()]
+    .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+    .map(m => ({
+      authorId: m.author.id,
+      author: m.author.tag,
+      content: m.content || m.embeds.map(e => [e.title, e.description].filter(Boolean).join(': ')).join('\n'),
+      timestamp: new Date(m.createdTimestamp).toISOString()
+    }));
+  saveCase(record);
+}
+
+function getPendingAcks(guildId) {
+  return cases.records.filter(r => inGuild(r, guildId) && !r.voided && (r.ack?.status === 'pending' || r.ack?.status === 'overdue'));
+}
+
+// ---------- Appeals ----------
+// Banned users get an Appeal button in their ban DM, warned users one in the
+// acknowledgement thread. The form goes to the guild's appeals channel with
+// Accept/Deny buttons. Appeal records live in the 'appeals' store:
+// { id, guildId, caseId, userId, answers: { statement, changes }, status
+//   pending|accepted|denied, createdAt, decidedBy?, decidedAt?, decisionReason?, messageId? }
+const APPEALABLE_ACTIONS = [...BAN_ACTIONS, 'Warn'];
+
+// `target` is a case ID, or 'ban' for the user's latest ban (the ban DM is sent
+// before the ban case exists).
+function appealButton(guildId, target) {
+  return new ButtonBuilder().setCustomId(`appeal_${guildId}_${target}`).setLabel('Appeal').setStyle(ButtonStyle.Secondary);
+}
+
+function banAppealComponents(guildId) {
+  if (!getGuildConfig(guildId).appealsChannelId) return [];
+  return [new ActionRowBuilder().addComponents(appealButton(guildId, 'ban'))];
+}
+
+function resolveAppealCase(guildId, userId, target) {
+  if (target === 'ban') {
+    return [...cases.records].reverse().find(r => r.targetUserId === userId && inGuild(r, guildId) && BAN_ACTIONS.includes(r.action)) || null;
+  }
+  const record = findCase(Number(target), guildId);
+  return record && record.targetUserId === userId ? record : null;
+}
+
+// Returns an error message if userId may not appeal this case right now, else null.
+function checkAppealAllowed(guildId, userId, record) {
+  const guildConfig = getGuildConfig(guildId);
+  if (!guildConfig.appealsChannelId) return 'Appeals are not open in this server.';
+  if (!record || !APPEALABLE_ACTIONS.includes(record.action)) return 'This case cannot be appealed.';
+  if (record.voided) return 'This case has already been voided.';
+  const liftedLater = cases.records.some(r => r.caseId > record.caseId && r.targetUserId === userId && inGuild(r, guildId) && (r.action === 'Unban' || r.action === 'AutoUnban'));
+  if (record.action !== 'Warn' && liftedLater) return 'This ban has already been lifted.';
+
+  const forCase = appeals.records.filter(a => a.guildId === guildId && a.caseId === record.caseId);
+  if (forCase.some(a => a.status === 'pending')) return 'Your appeal for this case is still being reviewed.';
+  if (forCase.some(a => a.status === 'accepted')) return 'An appeal for this case was already accepted.';
+  if (forCase.length >= guildConfig.appeals.maxPerCase) return `You have used all ${guildConfig.appeals.maxPerCase} appeal(s) for this case.`;
+
+  const last = appeals.records.filter(a => a.guildId === guildId && a.userId === userId).pop();
+  const readyAt = last ? Date.parse(last.createdAt) + guildConfig.appeals.cooldownHours * 60 * 60 * 1000 : 0;
+  if (readyAt > Date.now()) return `You can appeal again <t:${Math.floor(readyAt / 1000)}:R>.`;
+  return null;
+}
+
+function buildAppealModal(guildId, caseId) {
+  return new ModalBuilder()
+    .setCustomId(`appealform_${guildId}_${caseId}`)
+    .setTitle(`Appeal case ${caseId}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(new TextInputBuilder()
+        .setCustomId('statement').setLabel('Why should this be reversed?')
+        .setStyle(TextInputStyle.Paragraph).setRequired(true).setMinLength(20).setMaxLength(1000)),
+      new ActionRowBuilder().addComponents(new TextInputBuilder()
+        .setCustomId('changes').setLabel('Anything else staff should know?')
+        .setStyle(TextInputStyle.Paragraph).setRequired(false).setMaxLength(1000))
+    );
+}
+
+function buildAppealEmbed(appeal) {
+  const statusText = {
+    pending: '⏳ Pending',
+    accepted: `✅ Accepted by <@${appeal.decidedBy}>`,
+    denied: `❌ Denied by <@${appeal.decidedBy}>`
+  }[appeal.status];
+  const embed = new EmbedBuilder()
+    .setTitle(`Appeal #${appeal.id} — case ${appeal.caseId}`)
+    .addFields(
+      { name: 'User', value: `<@${appeal.userId}> (${appeal.userId})` },
+      { name: 'Why should this be reversed?', value: truncate(appeal.answers.statement, 1024) },
+      { name: 'Anything else', value: truncate(appeal.answers.changes, 1024) || '—' },
+      { name: 'Status', value: statusText }
+    )
+    .setColor(appeal.status === 'accepted' ? 0x00aa00 : appeal.status === 'denied' ? 0xaa0000 : 0xffaa00)
+    .setTimestamp(new Date(appeal.createdAt));
+  if (appeal.decisionReason) embed.addFields({ name: 'Decision reason', value: truncate(appeal.decisionReason, 1024) });
+  return embed;
+}
+
+function appealDecisionRow(appeal) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`appealdecide_${appeal.id}_accept`).setLabel('Accept').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`appealdecide_${appeal.id}_deny`).setLabel('Deny').setStyle(ButtonStyle.Danger)
+  );
+}
+
+async function submitAppeal({ guild, user, record, answers }) {
+  const appeal = {
+    id: appeals.nextAppealId++,
+    guildId: guild.id,
+    caseId: record.caseId,
+    userId: user.id,
+    answers,
+    status: 'pending',
+    createdAt: new Date().toISOString()
+  };
+  appeals.records.push(appeal);
+  storage.saveDocument('appeals', appeals);
+
+  const ch = await guild.channels.fetch(getGuildConfig(guild.id).appealsChannelId).catch(() => null);
+  if (!ch) {
+    console.warn(`Appeals channel not found in guild ${guild.id}; appeal #${appeal.id} is stored but not posted.`);
+    return appeal;
+  }
+  const message = await ch.send({ embeds: [buildAppealEmbed(appeal), buildCaseEmbed(record)], components: [appealDecisionRow(appeal)] });
+  appeal.messageId = message.id;
+  storage.saveDocument('appeals', appeals);
+  return appeal;
+}
+
+// Accepting a ban appeal unbans; accepting a warning appeal voids the case and
+// removes its warning. Either way a case records the decision.
+async function acceptAppeal({ guild, moderatorId, appeal }) {
+  const record = findCase(appeal.caseId, guild.id);
+  const reason = `Appeal #${appeal.id} accepted`;
+  let caseRecord;
+  if (record.action === 'Warn') {
+    record.voided = { moderatorId, reason, timestamp: new Date().toISOString() };
+    saveCase(record);
+    removeCaseWarning(guild.id, record);
+    caseRecord = nextCase(guild.id, 'CaseVoid', moderatorId, appeal.userId, reason, { voidedCase: record.caseId, appeal: appeal.id });
+  } else {
+    await guild.bans.remove(appeal.userId, reason).catch(err => {
+      // already unbanned is fine, anything else is not
+      if (err.code !== 10026) throw err;
+    });
+    cancelPendingUnban(guild.id, appeal.userId);
+    caseRecord = nextCase(guild.id, 'Unban', moderatorId, appeal.userId, reason, { banCase: record.caseId, appeal: appeal.id });
+  }
+  Object.assign(appeal, { status: 'accepted', decidedBy: moderatorId, decidedAt: new Date().toISOString() });
+  storage.saveDocument('appeals', appeals);
+
+  const user = await client.users.fetch(appeal.userId).catch(() => null);
+  caseRecord.dm = await sendTemplatedDm(user, guild, 'dm.appeal.accepted', { caseId: appeal.caseId });
+  saveCase(caseRecord);
+  await sendModLog(guild, { ...caseRecord, color: 0x00aa00 });
+  return caseRecord;
+}
+
+async function denyAppeal({ guild, moderatorId, appeal, reason }) {
+  Object.assign(appeal, { status: 'denied', decidedBy: moderatorId, decidedAt: new Date().toISOString(), decisionReason: reason });
+  storage.saveDocument('appeals', appeals);
+  const caseRecord = nextCase(guild.id, 'AppealDenied', moderatorId, appeal.userId, reason, { appealedCase: appeal.caseId, appeal: appeal.id });
+  const user = await client.users.fetch(appeal.userId).catch(() => null);
+  caseRecord.dm = await sendTemplatedDm(user, guild, 'dm.appeal.denied', { caseId: appeal.caseId, reason });
+  saveCase(caseRecord);
+  await sendModLog(guild, { ...caseRecord, color: 0x999999 });
+  return { caseRecord, dmSent: caseRecord.dm.delivered };
+}
+
+// ---------- Modmail ----------
+// A DM to the bot opens a thread in the guild's modmail channel. User messages
+// are copied into the thread; staff answer with /modmail reply (plain thread
+// messages stay internal). Tickets live in the 'modmail' store:
+// { id, guildId, userId, threadId, status open|closed, openedAt, closedAt?, closedBy?,
+//   messages: [{ author, authorId, content, attachments, timestamp, staff, anonymous? }] }
+// blocked: { guildId: [userId] }
+function getOpenTicket(predicate) {
+  return modmail.tickets.find(t => t.status === 'open' && predicate(t)) || null;
+}
+
+function saveModmail() {
+  storage.saveDocument('modmail', modmail);
+}
+
+function isModmailBlocked(guildId, userId) {
+  return (modmail.blocked[guildId] || []).includes(userId);
+}
+
+// The guild a DM belongs to: the primary guild if the user is in it, else the
+// first shared guild with modmail set up.
+async function resolveModmailGuild(userId) {
+  const candidates = [...client.guilds.cache.values()]
+    .filter(g => getGuildConfig(g.id).modmailChannelId)
+    .sort((a, b) => (b.id === guildSettings.primaryGuildId) - (a.id === guildSettings.primaryGuildId));
+  for (const g of candidates) {
+    if (await g.members.fetch(userId).catch(() => null)) return g;
+  }
+  return null;
+}
+
+function buildModmailOpenEmbed(guild, user) {
+  const userCases = cases.records.filter(r => r.targetUserId === user.id && inGuild(r, guild.id) && !r.voided);
+  const open = userCases.filter(r => r.ack?.status === 'pending' || r.ack?.status === 'overdue' || (r.quarantine && !r.quarantine.releasedAt));
+  const recent = userCases.slice(-10).reverse().map(r => {
+    const flag = open.includes(r) ? ` • **open** (${r.quarantine && !r.quarantine.releasedAt ? 'quarantined' : `ack ${r.ack.status}`})` : '';
+    return `#${r.caseId} ${r.action} <t:${Math.floor(Date.parse(r.timestamp) / 1000)}:d> — ${truncate(r.reason, 80)}${flag}`;
+  });
+  return new EmbedBuilder()
+    .setTitle(`📬 Modmail from ${user.tag}`)
+    .setDescription(`<@${user.id}> (${user.id}) • account created <t:${Math.floor(user.createdTimestamp / 1000)}:R>\nReply with \`/modmail reply\`; other messages here stay between staff.`)
+    .addFields(
+      { name: `Open cases (${open.length})`, value: truncate(open.map(r => `#${r.caseId} ${r.action}`).join(', '), 1024) || 'None' },
+      { name: `Recent cases (${userCases.length} total)`, value: truncate(recent.join('\n'), 1024) || 'None' },
+      { name: 'Active warnings', value: `${getActiveWarningsFor(guild.id, user.id).length}`, inline: true }
+    )
+    .setThumbnail(user.displayAvatarURL())
+    .setColor(open.length ? 0xffaa00 : 0x3399ff)
+    .setTimestamp();
+}
+
+async function openModmailTicket(guild, user) {
+  const ch = await guild.channels.fetch(getGuildConfig(guild.id).modmailChannelId).catch(() => null);
+  if (!ch?.threads) return null;
+  const thread = await ch.threads.create({ name: truncate(`${user.username} (${user.id})`, 100), autoArchiveDuration: 10080, reason: `Modmail from ${user.id}` });
+  const ticket = { id: modmail.nextTicketId++, guildId: guild.id, userId: user.id, threadId: thread.id, status: 'open', openedAt: new Date().toISOString(), messages: [] };
+  modmail.tickets.push(ticket);
+  saveModmail();
+  await thread.send({ embeds: [buildModmailOpenEmbed(guild, user)] });
+  return ticket;
+}
+
+async function relayUserMessage(message) {
+  const user = message.author;
+  let ticket = getOpenTicket(t => t.userId === user.id);
+  let thread = ticket && await client.channels.fetch(ticket.threadId).catch(() => null);
+  if (ticket && !thread) {
+    // thread deleted by staff: close the ticket and start over
+    Object.assign(ticket, { status: 'closed', closedAt: new Date().toISOString(), closedBy: client.user.id, closeReason: 'Thread deleted' });
+    saveModmail();
+    ticket = null;
+  }
+  if (!ticket) {
+    const guild = await resolveModmailGuild(user.id);
+    if (!guild) return message.reply('❌ Modmail is not available: you share no server with modmail enabled.');
+    if (isModmailBlocked(guild.id, user.id)) return message.reply(`❌ You can't open modmail threads in **${guild.name}**.`);
+    ticket = await openModmailTicket(guild, user);
+    if (!ticket) return message.reply('❌ Staff could not be reached right now. Please try again later.');
+    thread = await client.channels.fetch(ticket.threadId);
+    await message.reply(renderTemplate(guild, 'dm.modmail.opened', {}, user.id).text);
+  }
+
+  if (thread.archived) await thread.setArchived(false).catch(() => {});
+  const attachments = [...message.attachments.values()].map(a => ({ name: a.name, url: a.url }));
+  await thread.send({
+    content: truncate(`**${user.tag}:** ${message.content || ''}`, 2000),
+    files: attachments.map(a => ({ attachment: a.url, name: a.name })),
+    allowedMentions: { parse: [] }
+  });
+  ticket.messages.push({ author: user.tag, authorId: user.id, content: message.content || '', attachments, timestamp: new Date().toISOString(), staff: false });
+  saveModmail();
+  await message.react('✅').catch(() => {});
+}
+
+async function modmailReplyAction({ ticket, issuer, text, anonymous, attachment }) {
+  const user = await client.users.fetch(ticket.userId).catch(() => null);
+  const guild = issuer.guild;
+  const signature = anonymous ? `${guild.name} staff` : `${issuer.displayName} (${guild.name} staff)`;
+  const files = attachment ? [{ attachment: attachment.url, name: attachment.name }] : [];
+  try {
+    await user.send({ content: `**${signature}:** ${text}`, files });
+  } catch (err) {
+    return '❌ Could not DM the user (DMs closed or no shared server).';
+  }
+  ticket.messages.push({
+    author: issuer.user.tag,
+    authorId: issuer.id,
+    content: text,
+    attachments: attachment ? [{ name: attachment.name, url: attachment.url }] : [],
+    timestamp: new Date().toISOString(),
+    staff: true,
+    anonymous
+  });
+  saveModmail();
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: `${issuer.user.tag}${anonymous ? ' (sent anonymously)' : ''}` })
+    .setDescription(text)
+    .setColor(0x57f287)
+    .setTimestamp();
+  return { embeds: [embed], files };
+}
+
+async function closeModmailTicket({ guild, ticket, closedBy, reason }) {
+  Object.assign(ticket, { status: 'closed', closedAt: new Date().toISOString(), closedBy, closeReason: reason });
+  saveModmail();
+
+  const user = await client.users.fetch(ticket.userId).catch(() => null);
+  await sendTemplatedDm(user, guild, 'dm.modmail.closed', { reason: reason || 'No reason given' });
+
+  const transcriptEntries = ticket.messages.map(m => ({ ...m, author: m.staff ? `${m.author} [staff${m.anonymous ? ', anonymous' : ''}]` : m.author }));
+  const file = new AttachmentBuilder(Buffer.from(transcriptText(transcriptEntries) || 'No messages.', 'utf8'), { name: `modmail-${ticket.id}-${ticket.userId}.txt` });
+  const logChannel = await fetchModLogChannel(guild);
+  if (logChannel) {
+    const embed = new EmbedBuilder()
+      .setTitle(`📪 Modmail #${ticket.id} closed`)
+      .addFields(
+        { name: 'User', value: `<@${ticket.userId}>`, inline: true },
+        { name: 'Closed by', value: `<@${closedBy}>`, inline: true },
+        { name: 'Messages', value: `${ticket.messages.length}`, inline: true },
+        { name: 'Thread', value: `<#${ticket.threadId}>`, inline: true },
+        { name: 'Reason', value: truncate(reason, 1024) || '—' }
+      )
+      .setTimestamp();
+    await logChannel.send({ embeds: [embed], files: [file] }).catch(err => console.error('Failed to log modmail transcript:', err));
+  }
+
+  const thread = await client.channels.fetch(ticket.threadId).catch(() => null);
+  if (thread) {
+    await thread.send(`📪 Closed by <@${closedBy}>${reason ? `: ${reason}` : '.'}`).catch(() => {});
+    await thread.edit({ locked: true, archived: true }).catch(() => {});
+  }
+}
+
+async function modmailBlockAction({ guild, issuer, userId, remove, reason }) {
+  const can = checkPermission(issuer, 'modmail.block');
+  if (!can.ok) return '❌ You do not have permission to block users from modmail.';
+  const list = modmail.blocked[guild.id] || [];
+  if (remove ? !list.includes(userId) : list.includes(userId)) return `❌ <@${userId}> is ${remove ? 'not' : 'already'} blocked.`;
+  modmail.blocked[guild.id] = remove ? list.filter(id => id !== userId) : [...list, userId];
+  saveModmail();
+
+  const caseRecord = nextCase(guild.id, remove ? 'ModmailUnblock' : 'ModmailBlock', issuer.id, userId, reason);
+  await sendModLog(guild, { ...caseRecord, color: 0x666666 });
+  const ticket = !remove && getOpenTicket(t => t.guildId === guild.id && t.userId === userId);
+  if (ticket) await closeModmailTicket({ guild, ticket, closedBy: issuer.id, reason: 'Blocked from modmail' });
+  return `✅ ${remove ? 'Unblocked' : 'Blocked'} <@${userId}> ${remove ? 'for' : 'from'} modmail (Case ${caseRecord.caseId}).`;
+}
+
+// ---------- Moderation actions ----------
+// Shared by slash and prefix commands. Each action does its own permission
+// check, case creation and mod logging, and returns the reply payload.
+// Warn without a permission check (shared by warnAction and automod).
+// Returns { caseRecord, step, escalationCase }.
+async function applyWarn({ guild, moderatorId, targetUser, targetMember, reason, extra = {}, evidence = null }) {
+  // Apply a short timeout (10 minutes) so this is a "mute until ack" experience.
+  const timeoutMs = 10 * 60 * 1000;
+  try {
+    if (targetMember) {
+      await targetMember.timeout(timeoutMs, `Warn applied by ${moderatorId} - case pending acknowledgement`);
+    }
+  } catch (err) {
+    console.warn('Could not apply timeout on warn:', err);
+  }
+
+  const warning = addWarning(guild.id, targetUser.id, moderatorId, reason);
+  const caseRecord = nextCase(guild.id, 'Warn', moderatorId, targetUser.id, reason, { warningId: warning.id, ...extra });
+  if (evidence) caseRecord.evidence = evidence;
+  const components = getGuildConfig(guild.id).appealsChannelId ? [new ActionRowBuilder().addComponents(appealButton(guild.id, caseRecord.caseId))] : [];
+  caseRecord.dm = await sendTemplatedDm(targetUser, guild, 'dm.warn', { reason, caseId: caseRecord.caseId, appeal: appealInfo(guild, targetUser.id, components) }, components);
+  saveCase(caseRecord);
+  await sendModLog(guild, { ...caseRecord, color: 0xffcc00 });
+
+  // Escalation replaces the warn thread with the thread (or DM) of the stronger action
+  const guildConfig = getGuildConfig(guild.id);
+  const step = guildConfig.features.escalation ? getEscalationStep(guild.id, getActiveWarningsFor(guild.id, targetUser.id).length) : null;
+  if (step) {
+    const escalationCase = await applyEscalation({ guild, step, targetUser, targetMember, warning, warnCase: caseRecord });
+    if (escalationCase) return { caseRecord, step, escalationCase };
+  }
+
+  // Create acknowledgement private thread in rules channel
+  await createAcknowledgementThread({
+    guild,
+    user: targetUser,
+    title: renderTemplate(guild, 'ack.warn.title', { caseId: caseRecord.caseId }, targetUser.id).text,
+    description: renderTemplate(guild, 'ack.warn.description', { reason, duration: formatDuration(timeoutMs / 60000), caseId: caseRecord.caseId }, targetUser.id).text,
+    caseId: caseRecord.caseId,
+    actionType: 'Warn',
+    ackRemovesTimeout: true, // acknowledging removes timeout for warn
+    evidence
+  });
+  return { caseRecord, step: null, escalationCase: null };
+}
+
+async function warnAction({ guild, issuer, targetUser, targetMember, reason, evidence = null }) {
+  const can = checkPermission(issuer, 'warn', { targetMember });
+  if (!can.ok) return '❌ You do not have permission to warn this user.';
+
+  const { caseRecord, step, escalationCase } = await applyWarn({ guild, moderatorId: issuer.id, targetUser, targetMember, reason, evidence });
+  if (escalationCase) {
+    return `✅ Warned <@${targetUser.id}> (Case ${caseRecord.caseId}). Escalated to ${describeEscalationStep(step)} (Case ${escalationCase.caseId}).`;
+  }
+  return `✅ Warned <@${targetUser.id}> (Case ${caseRecord.caseId}). A private acknowledgement thread has been opened in the rules channel.${caseRecord.dm.delivered ? '' : ' ⚠️ Their DMs are closed; the DM was not delivered.'}`;
+}
+
+async function warningsAction({ guild, issuer, targetUser }) {
+  const can = checkPermission(issuer, 'warnings');
+  if (!can.ok) return '❌ You do not have permission to view warnings.';
+  if (getWarningsFor(guild.id, targetUser.id).length === 0) return `${targetUser.tag} has no warnings.`;
+  return buildWarningsPage(guild.id, targetUser, 0);
+}
+
+async function delwarnAction({ guild, issuer, warningId, reason }) {
+  const can = checkPermission(issuer, 'delwarn');
+  if (!can.ok) return '❌ You do not have permission to remove warnings.';
+
+  const warning = removeWarning(guild.id, warningId);
+  if (!warning) return `❌ Warning ${warningId} not found.`;
+
+  const warnCase = cases.records.find(r => r.action === 'Warn' && r.extra?.warningId === warning.id && r.targetUserId === warning.userId && inGuild(r, guild.id));
+  const extra = { warningId: warning.id, originalReason: truncate(warning.reason, 1024) };
+  if (warnCase) extra.warnCase = warnCase.caseId;
+  const caseRecord = nextCase(guild.id, 'DelWarn', issuer.id, warning.userId, reason, extra);
+  await sendModLog(guild, { ...caseRecord, color: 0x00cc66 });
+
+  return `✅ Removed warning ${warning.id} from <@${warning.userId}> (Case ${caseRecord.caseId}).`;
+}
+
+async function clearwarnsAction({ guild, issuer, targetUser, targetMember }) {
+  const can = checkPermission(issuer, 'clearwarns', { targetMember });
+  if (!can.ok) return '❌ You do not have permission to clear warnings.';
+
+  const removed = clearWarningsFor(guild.id, targetUser.id);
+  const caseRecord = nextCase(guild.id, 'ClearWarns', issuer.id, targetUser.id, `Cleared ${removed} warnings`);
+  await sendModLog(guild, { ...caseRecord, color: 0x00cc66 });
+
+  return `✅ Cleared ${removed} warnings for <@${targetUser.id}> (Case ${caseRecord.caseId}).`;
+}
+
+async function kickAction({ guild, issuer, targetUser, targetMember, reason }) {
+  if (!targetMember) return '❌ User not found in guild.';
+
+  const can = checkPermission(issuer, 'kick', { targetMember });
+  if (!can.ok) return '❌ You do not have permission to kick this user.';
+
+  // DM the user about kick before kicking (some may have DMs off)
+  const dm = await sendTemplatedDm(targetUser, guild, 'dm.kick', { reason });
+
+  try {
+    await targetMember.kick(reason);
+  } catch (err) {
+    console.error('Kick error:', err);
+    return '❌ Failed to kick user (missing permissions?).';
+  }
+
+  const caseRecord = nextCase(guild.id, 'Kick', issuer.id, targetUser.id, reason);
+  caseRecord.dm = dm;
+  saveCase(caseRecord);
+  await sendModLog(guild, { ...caseRecord, color: 0xff6600 });
+
+  return `✅ Kicked <@${targetUser.id}> (Case ${caseRecord.caseId}).${dm.delivered ? '' : ' ⚠️ DM not delivered.'}`;
+}
+
+async function banAction({ guild, issuer, targetUser, targetMember, reason }) {
+  const can = checkPermission(issuer, 'ban', { targetMember });
+  if (!can.ok) return '❌ You do not have permission to ban this user.';
+
+  // DM the user (ban/kick allowed to dm)
+  const components = banAppealComponents(guild.id);
+  const dm = await sendTemplatedDm(targetUser, guild, 'dm.ban', { reason, appeal: appealInfo(guild, targetUser.id, components) }, components);
+
+  try {
+    await guild.members.ban(targetUser.id, { reason });
+  } catch (err) {
+    console.error('Ban error:', err);
+    return '❌ Failed to ban user (missing permissions?).';
+  }
+  // a permanent ban must not be lifted by an earlier tempban's expiry
+  cancelPendingUnban(guild.id, targetUser.id);
+
+  const caseRecord = nextCase(guild.id, 'Ban', issuer.id, targetUser.id, reason);
+  caseRecord.dm = dm;
+  saveCase(caseRecord);
+  await sendModLog(guild, { ...caseRecord, color: 0x990000 });
+
+  return `✅ Banned <@${targetUser.id}> (Case ${caseRecord.caseId}).${dm.delivered ? '' : ' ⚠️ DM not delivered.'}`;
+}
+
+async function tempbanAction({ guild, issuer, targetUser, targetMember, minutes, reason }) {
+  if (isNaN(minutes) || minutes <= 0) return '❌ Invalid duration (minutes).';
+
+  const can = checkPermission(issuer, 'tempban', { targetMember, minutes });
+  if (!can.ok) return permissionError(can, '❌ You do not have permission to tempban this user.');
+
+  // DM the user
+  const components = banAppealComponents(guild.id);
+  const dm = await sendTemplatedDm(targetUser, guild, 'dm.tempban', { reason, duration: formatDuration(minutes), appeal: appealInfo(guild, targetUser.id, components) }, components);
+
+  try {
+    await guild.members.ban(targetUser.id, { reason });
+  } catch (err) {
+    console.error('Tempban ban error:', err);
+    return '❌ Failed to ban user (missing permissions?).';
+  }
+  cancelPendingUnban(guild.id, targetUser.id); // the new expiry replaces any earlier one
+
+  const expiresAt = Date.now() + minutes * 60 * 1000;
+  const caseRecord = nextCase(guild.id, 'TempBan', issuer.id, targetUser.id, reason, { expiresAt });
+  caseRecord.dm = dm;
+  saveCase(caseRecord);
+  await sendModLog(guild, { ...caseRecord, color: 0xaa0000, extra: { ExpiresAt: new Date(expiresAt).toISOString() } });
+
+  // schedule unban (persisted in the 'schedule' store, survives restarts)
+  scheduleJob('unban', expiresAt, { guildId: guild.id, userId: targetUser.id, caseId: caseRecord.caseId });
+
+  return `✅ Tempbanned <@${targetUser.id}> for ${minutes} minute(s) (Case ${caseRecord.caseId}).${dm.delivered ? '' : ' ⚠️ DM not delivered.'}`;
+}
+
+// /unban autocomplete fires on every keystroke; reuse the ban list for a short while
+const BAN_LIST_TTL_MS = 30 * 1000;
+const banListCache = new Map(); // guildId -> { bans, fetchedAt }
+
+async function fetchBanList(guild) {
+  const cached = banListCache.get(guild.id);
+  if (cached && Date.now() - cached.fetchedAt < BAN_LIST_TTL_MS) return cached.bans;
+  const bans = await guild.bans.fetch().catch(() => null);
+  if (bans) banListCache.set(guild.id, { bans, fetchedAt: Date.now() });
+  return bans;
+}
+
+async function unbanAction({ guild, issuer, userId, reason }) {
+  if (!/^\d{17,20}$/.test(userId)) return '❌ Invalid user ID.';
+
+  if (!checkPermission(issuer, 'unban').ok) return '❌ You do not have permission to unban users.';
+
+  const ban = await guild.bans.fetch(userId).catch(() => null);
+  if (!ban) return '❌ That user is not banned.';
+
+  try {
+    await guild.bans.remove(userId, reason);
+  } catch (err) {
+    console.error('Unban error:', err);
+    return '❌ Failed to unban user (missing permissions?).';
+  }
+
+  // drop any pending tempban expiry so it does not fire later
+  cancelPendingUnban(guild.id, userId);
+  banListCache.delete(guild.id);
+
+  const banCase = [...cases.records].reverse()
+    .find(r => r.targetUserId === userId && inGuild(r, guild.id) && BAN_ACTIONS.includes(r.action));
+  const extra = banCase ? { banCase: banCase.caseId } : {};
+  const caseRecord = nextCase(guild.id, 'Unban', issuer.id, userId, reason, extra);
+  await sendModLog(guild, { ...caseRecord, color: 0x00aa00 });
+
+  return `✅ Unbanned <@${userId}> (Case ${caseRecord.caseId}${banCase ? `, original case ${banCase.caseId}` : ''}).`;
+}
+
+// Timeout without a permission check (shared by timeoutAction and automod).
+// Returns the case record, or null if Discord rejected the timeout.
+async function applyTimeout({ guild, moderatorId, targetUser, targetMember, minutes, reason, extra = {}, evidence = null }) {
+  try {
+    await targetMember.timeout(minutes * 60 * 1000, reason);
+  } catch (err) {
+    console.error('Timeout error:', err);
+    return null;
+  }
+
+  const caseRecord = nextCase(guild.id, 'Timeout', moderatorId, targetUser.id, reason, { durationMinutes: minutes, ...extra });
+  if (evidence) {
+    caseRecord.evidence = evidence;
+    saveCase(caseRecord);
+  }
+  await sendModLog(guild, { ...caseRecord, color: 0x9933ff });
+
+  // Create acknowledgement thread; per your requirement: acknowledging does NOT untimeout
+  await createAcknowledgementThread({
+    guild,
+    user: targetUser,
+    title: renderTemplate(guild, 'ack.timeout.title', { caseId: caseRecord.caseId }, targetUser.id).text,
+    description: renderTemplate(guild, 'ack.timeout.description', { reason, duration: formatDuration(minutes), caseId: caseRecord.caseId }, targetUser.id).text,
+    caseId: caseRecord.caseId,
+    actionType: 'Timeout',
+    ackRemovesTimeout: false,
+    evidence
+  });
+  return caseRecord;
+}
+
+async function timeoutAction({ guild, issuer, targetUser, targetMember, minutes, reason, evidence = null }) {
+  if (!targetMember) return '❌ User not found in guild.';
+  if (isNaN(minutes) || minutes <= 0 || minutes > 28 * 24 * 60) return '❌ Invalid duration (1 to 40320 minutes).';
+
+  const can = checkPermission(issuer, 'timeout', { targetMember, minutes });
+  if (!can.ok) return permissionError(can, '❌ You do not have permission to timeout this user.');
+
+  const caseRecord = await applyTimeout({ guild, moderatorId: issuer.id, targetUser, targetMember, minutes, reason, evidence });
+  if (!caseRecord) return '❌ Failed to timeout user (missing permissions?).';
+
+  return `✅ Timed out <@${targetUser.id}> for ${minutes} minute(s) (Case ${caseRecord.caseId}). A private acknowledgement thread has been opened in the rules channel.`;
+}
+
+async function untimeoutAction({ guild, issuer, targetUser, targetMember }) {
+  if (!targetMember) return '❌ User not found in guild.';
+
+  const can = checkPermission(issuer, 'untimeout', { targetMember });
+  if (!can.ok) return '❌ You do not have permission to remove timeout.';
+
+  try {
+    await targetMember.timeout(null, 'Timeout removed by staff');
+  } catch (err) {
+    console.error('Untimeout error:', err);
+    return '❌ Failed to remove timeout (missing permissions?).';
+  }
+
+  const caseRecord = nextCase(guild.id, 'RemoveTimeout', issuer.id, targetUser.id, 'Timeout removed by moderator');
+  caseRecord.dm = await sendTemplatedDm(targetUser, guild, 'dm.untimeout', { caseId: caseRecord.caseId });
+  saveCase(caseRecord);
+  await sendModLog(guild, { ...caseRecord, color: 0x00ccff });
+
+  return `✅ Removed timeout for <@${targetUser.id}> (Case ${caseRecord.caseId}).`;
+}
+
+// ---------- Quarantine ----------
+// The member's roles are saved on the Quarantine case (record.quarantine.roles)
+// and swapped for the jail role; release puts them back. Managed roles
+// (boosts, integrations) can't be removed and are left alone.
+function getActiveQuarantine(guildId, userId) {
+  return [...cases.records].reverse().find(r => r.quarantine && !r.quarantine.releasedAt && r.targetUserId === userId && inGuild(r, guildId)) || null;
+}
+
+async function quarantineAction({ guild, issuer, targetUser, targetMember, minutes, reason }) {
+  if (!targetMember) return '❌ User not found in guild.';
+  if (minutes !== null && minutes !== undefined && (isNaN(minutes) || minutes <= 0 || minutes > QUARANTINE_MAX_MINUTES)) {
+    return `❌ Invalid duration (1 to ${QUARANTINE_MAX_MINUTES} minutes).`;
+  }
+  const guildConfig = getGuildConfig(guild.id);
+  const jailRole = guildConfig.roles.jail && await guild.roles.fetch(guildConfig.roles.jail).catch(() => null);
+  if (!jailRole) return '❌ No jail role configured. Set one with `/config role tier:Jail`.';
+
+  const can = checkPermission(issuer, 'quarantine', { targetMember, minutes });
+  if (!can.ok) return permissionError(can, '❌ You do not have permission to quarantine this user.');
+  if (getActiveQuarantine(guild.id, targetUser.id)) return '❌ That user is already quarantined.';
+
+  const savedRoles = targetMember.roles.cache.filter(r => r.id !== guild.id && !r.managed && r.id !== jailRole.id).map(r => r.id);
+  const keptRoles = targetMember.roles.cache.filter(r => r.managed).map(r => r.id);
+  const extra = minutes ? { releaseAt: new Date(Date.now() + minutes * 60 * 1000).toISOString() } : {};
+  try {
+    await targetMember.roles.set([...keptRoles, jailRole.id], `Quarantine by ${issuer.id}: ${reason}`);
+  } catch (err) {
+    console.error('Quarantine error:', err);
+    return '❌ Failed to change roles (is the bot role above the member\'s roles?).';
+  }
+
+  const caseRecord = nextCase(guild.id, 'Quarantine', issuer.id, targetUser.id, reason, extra);
+  caseRecord.quarantine = { roles: savedRoles, jailRoleId: jailRole.id };
+  saveCase(caseRecord);
+  if (minutes) scheduleJob('release', Date.now() + minutes * 60 * 1000, { guildId: guild.id, userId: targetUser.id, caseId: caseRecord.caseId });
+  await sendModLog(guild, { ...caseRecord, color: 0x663399, extra: { ...extra, savedRoles: savedRoles.map(id => `<@&${id}>`).join(' ') || 'none' } });
+
+  await createAcknowledgementThread({
+    guild,
+    user: targetUser,
+    title: renderTemplate(guild, 'ack.quarantine.title', { caseId: caseRecord.caseId }, targetUser.id).text,
+    description: renderTemplate(guild, 'ack.quarantine.description', {
+      reason,
+      caseId: caseRecord.caseId,
+      release: minutes
+        ? renderTemplate(guild, 'quarantine.release.timed', { time: `<t:${Math.floor((Date.now() + minutes * 60 * 1000) / 1000)}:R>` }, targetUser.id).text
+        : renderTemplate(guild, 'quarantine.release.manual', {}, targetUser.id).text
+    }, targetUser.id).text,
+    caseId: caseRecord.caseId,
+    actionType: 'Quarantine',
+    channelId: guildConfig.quarantineChannelId
+  });
+
+  return `✅ Quarantined <@${targetUser.id}>${minutes ? ` for ${minutes} minute(s)` : ''} (Case ${caseRecord.caseId}). ${savedRoles.length} role(s) saved.`;
+}
+
+// Restores the saved roles and closes the quarantine. Returns the Release case.
+async function releaseQuarantine({ guild, moderatorId, record, reason }) {
+  const member = await guild.members.fetch(record.targetUserId).catch(() => null);
+  const extra = { quarantineCase: record.caseId };
+  if (member) {
+    // roles deleted since the quarantine can't come back
+    const restorable = record.quarantine.roles.filter(id => guild.roles.cache.has(id));
+    const keptRoles = member.roles.cache.filter(r => r.managed).map(r => r.id);
+    await member.roles.set([...new Set([...keptRoles, ...restorable])], `Release: ${reason}`);
+    if (restorable.length < record.quarantine.roles.length) extra.missingRoles = record.quarantine.roles.length - restorable.length;
+  } else {
+    extra.notInServer = 'roles not restored';
+  }
+
+  cancelJobs(j => j.type === 'release' && j.payload.caseId === record.caseId);
+  const caseRecord = nextCase(guild.id, 'Release', moderatorId, record.targetUserId, reason, extra);
+  record.quarantine.releasedAt = new Date().toISOString();
+  record.quarantine.releaseCaseId = caseRecord.caseId;
+  saveCase(record);
+  if (member) {
+    caseRecord.dm = await sendTemplatedDm(member.user, guild, 'dm.release', { caseId: caseRecord.caseId });
+    saveCase(caseRecord);
+  }
+  await sendModLog(guild, { ...caseRecord, color: 0x00aa00 });
+  return caseRecord;
+}
+
+async function releaseAction({ guild, issuer, targetUser, targetMember, reason }) {
+  const can = checkPermission(issuer, 'release', { targetMember });
+  if (!can.ok) return '❌ You do not have permission to release this user.';
+  const record = getActiveQuarantine(guild.id, targetUser.id);
+  if (!record) return '❌ That user is not quarantined.';
+
+  try {
+    const caseRecord = await releaseQuarantine({ guild, moderatorId: issuer.id, record, reason });
+    return `✅ Released <@${targetUser.id}> (Case ${caseRecord.caseId}, quarantine case ${record.caseId}).${caseRecord.extra.notInServer ? ' They are not in the server, so no roles were restored.' : ''}`;
+  } catch (err) {
+    console.error('Release error:', err);
+    return '❌ Failed to restore roles (missing permissions?).';
+  }
+}
+
+// The jail role may only see the holding channel: denied everywhere else,
+// allowed there. Applied whenever the jail role or the channel is configured;
+// channels created later are caught by jailVisibleChannels in /config view.
+async function applyJailOverwrites(guild) {
+  const { roles, quarantineChannelId } = getGuildConfig(guild.id);
+  if (!roles.jail || !quarantineChannelId) return null;
+  const channels = [...(await guild.channels.fetch()).values()].filter(ch => ch?.permissionOverwrites);
+  let failed = 0;
+  for (const ch of channels) {
+    const overwrite = ch.id === quarantineChannelId
+      ? { ViewChannel: true, SendMessages: true, SendMessagesInThreads: true, ReadMessageHistory: true }
+      : { ViewChannel: false };
+    await ch.permissionOverwrites.edit(roles.jail, overwrite, { reason: 'Jail role sees only the quarantine channel' }).catch(() => { failed++; });
+  }
+  return { channels: channels.length, failed };
+}
+
+function jailVisibleChannels(guild) {
+  const { roles, quarantineChannelId } = getGuildConfig(guild.id);
+  const jailRole = roles.jail && guild.roles.cache.get(roles.jail);
+  if (!jailRole) return [];
+  return [...guild.channels.cache.values()].filter(ch => ch.id !== quarantineChannelId && ch.type !== ChannelType.GuildCategory && !ch.isThread?.() &&
+    ch.permissionsFor?.(jailRole)?.has(PermissionFlagsBits.ViewChannel));
+}
+
+async function historyAction({ guild, issuer, targetUser }) {
+  const can = checkPermission(issuer, 'history');
+  if (!can.ok) return '❌ You do not have permission to view case history.';
+  return buildHistoryPage(guild.id, targetUser, 0);
+}
+
+async function noteAddAction({ guild, issuer, targetUser, text }) {
+  const can = checkPermission(issuer, 'note.add');
+  if (!can.ok) return '❌ You do not have permission to add notes.';
+  const note = addNote(guild.id, targetUser.id, issuer.id, text);
+  return `📝 Note #${note.id} added for ${targetUser.tag}.`;
+}
+
+async function noteListAction({ guild, issuer, targetUser }) {
+  const can = checkPermission(issuer, 'note.view');
+  if (!can.ok) return '❌ You do not have permission to view notes.';
+  const list = getNotesFor(guild.id, targetUser.id).slice(-25).reverse();
+  const embed = new EmbedBuilder()
+    .setTitle(`Notes for ${targetUser.tag}`)
+    .setDescription(list.length ? null : 'No notes.')
+    .setTimestamp();
+  list.forEach(n => {
+    embed.addFields({ name: `#${n.id} — ${new Date(n.timestamp).toLocaleString()}`, value: truncate(`By <@${n.authorId}> — ${n.text}`, 1024) });
+  });
+  return { embeds: [embed] };
+}
+
+async function noteRemoveAction({ guild, issuer, noteId }) {
+  const note = notes.records.find(n => n.id === noteId && n.guildId === guild.id);
+  if (!note) return `❌ Note #${noteId} not found.`;
+  const own = note.authorId === issuer.id && checkPermission(issuer, 'note.remove.own').ok;
+  if (!own && !checkPermission(issuer, 'note.remove').ok) return '❌ You do not have permission to remove that note.';
+  removeNote(guild.id, noteId);
+  return `✅ Removed note #${noteId}.`;
+}
+
+// One embed with everything staff usually look up before acting.
+async function userinfoAction({ guild, issuer, targetUser, targetMember }) {
+  const can = checkPermission(issuer, 'userinfo');
+  if (!can.ok) return '❌ You do not have permission to view user profiles.';
+
+  const ts = ms => `<t:${Math.floor(ms / 1000)}:R>`;
+  const activeWarnings = getActiveWarningsFor(guild.id, targetUser.id);
+  const userCases = cases.records.filter(r => r.targetUserId === targetUser.id && inGuild(r, guild.id) && !r.voided);
+  const byAction = {};
+  userCases.forEach(r => { byAction[r.action] = (byAction[r.action] || 0) + 1; });
+  const userNotes = getNotesFor(guild.id, targetUser.id);
+  const pendingAcks = getPendingAcks(guild.id).filter(r => r.targetUserId === targetUser.id);
+  const timedOutUntil = targetMember?.communicationDisabledUntilTimestamp;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Profile: ${targetUser.tag}`)
+    .setThumbnail(targetUser.displayAvatarURL())
+    .addFields(
+      { name: 'User', value: `<@${targetUser.id}> (${targetUser.id})` },
+      { name: 'Account created', value: ts(targetUser.createdTimestamp), inline: true },
+      { name: 'Joined', value: targetMember?.joinedTimestamp ? ts(targetMember.joinedTimestamp) : 'Not in server', inline: true },
+      { name: 'Timeout', value: timedOutUntil && timedOutUntil > Date.now() ? `Until ${ts(timedOutUntil)}` : 'None', inline: true },
+      {
+        name: `Active warnings (${activeWarnings.length})`,
+        value: truncate(activeWarnings.slice(-3).reverse().map(w => `ID ${w.id}: ${w.reason}`).join('\n'), 1024) || 'None'
+      },
+      {
+        name: `Cases (${userCases.length})`,
+        value: truncate(Object.entries(byAction).map(([action, n]) => `${action} ×${n}`).join(', '), 1024) || 'None'
+      },
+      {
+        name: `Notes (${userNotes.length})`,
+        value: truncate(userNotes.slice(-3).reverse().map(n => `#${n.id} <@${n.authorId}>: ${n.text}`).join('\n'), 1024) || 'None'
+      },
+      {
+        name: `Pending acknowledgements (${pendingAcks.length})`,
+        value: truncate(pendingAcks.map(r => `#${r.caseId} ${r.action} <#${r.ack.threadId}> (${r.ack.status})`).join('\n'), 1024) || 'None'
+      }
+    )
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`history_${targetUser.id}_0`).setLabel('Full history').setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`warnings_${targetUser.id}_0`).setLabel('All warnings').setStyle(ButtonStyle.Secondary)
+  );
+  return { embeds: [embed], components: [row] };
+}
+
+async function exportAction({ guild, issuer, format, query }) {
+  const can = checkPermission(issuer, 'export');
+  if (!can.ok) return '❌ You do not have permission to export data.';
+  if ([query.from, query.to].some(d => d && Number.isNaN(Date.parse(d)))) return '❌ Dates must look like 2024-01-31.';
+  // "to" is a date; include the whole day
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) query.to = `${query.to}T23:59:59.999Z`;
+
+  const caseRows = filterCases({ ...query, guild: guild.id });
+  // warnings have no action type; they belong to a Warn filter only
+  const wantsWarnings = !query.action || query.action.toLowerCase().split(',').includes('warn');
+  const warningRows = wantsWarnings ? filterWarnings({ guild: guild.id, user: query.user, moderator: query.moderator, from: query.from, to: query.to }) : [];
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const files = format === 'json'
+    ? [new AttachmentBuilder(Buffer.from(JSON.stringify({ exportedAt: new Date().toISOString(), guildId: guild.id, filters: query, cases: caseRows, warnings: warningRows }, null, 2), 'utf8'), { name: `moderation-${guild.id}-${stamp}.json` })]
+    : [
+      new AttachmentBuilder(Buffer.from(toCsv(caseRows, CASE_CSV_COLUMNS), 'utf8'), { name: `cases-${guild.id}-${stamp}.csv` }),
+      new AttachmentBuilder(Buffer.from(toCsv(warningRows, WARNING_CSV_COLUMNS), 'utf8'), { name: `warnings-${guild.id}-${stamp}.csv` })
+    ];
+  return { content: `📦 Exported ${caseRows.length} case(s) and ${warningRows.length} warning(s).`, files };
+}
+
+async function importAction({ guild, issuer, attachment }) {
+  const can = checkPermission(issuer, 'import');
+  if (!can.ok) return '❌ You do not have permission to import data.';
+  if (attachment.size > 20 * 1024 * 1024) return '❌ That file is too large (max 20 MB).';
+
+  let text;
+  try {
+    const res = await fetch(attachment.url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    text = await res.text();
+  } catch (err) {
+    console.error('Import download error:', err);
+    return '❌ Could not download the file.';
+  }
+
+  let data;
+  try {
+    if (/\.json$/i.test(attachment.name)) {
+      const parsed = JSON.parse(text);
+      if (!parsed || typeof parsed !== 'object') return '❌ The JSON file must hold an export object or a list of cases.';
+      data = Array.isArray(parsed) ? { cases: parsed } : { cases: parsed.cases || [], warnings: parsed.warnings || [] };
+    } else if (/\.csv$/i.test(attachment.name)) {
+      const rows = parseCsv(text);
+      // a cases CSV has caseId/action columns, a warnings CSV has userId
+      data = rows.length && 'action' in rows[0] ? { cases: rows } : { warnings: rows };
+    } else {
+      return '❌ Upload a .json export or a cases/warnings .csv file.';
+    }
+  } catch (err) {
+    return `❌ Could not parse the file: ${err.message}`;
+  }
+
+  if (!Array.isArray(data.cases || []) || !Array.isArray(data.warnings || [])) return '❌ `cases` and `warnings` in the file must be lists.';
+
+  const result = importRecords(guild.id, data);
+  const importCase = nextCase(guild.id, 'Import', issuer.id, issuer.id, `Imported ${attachment.name}`, {
+    cases: result.cases,
+    warnings: result.warnings,
+    skipped: result.skipped.length
+  });
+  await sendModLog(guild, { ...importCase, color: 0x3399ff });
+
+  const lines = [`📥 Imported ${result.cases} case(s) and ${result.warnings} warning(s) (case #${importCase.caseId}).`];
+  if (result.skipped.length) {
+    lines.push(`Skipped ${result.skipped.length}:`);
+    lines.push(...result.skipped.slice(0, 20).map(reason => `• ${reason}`));
+    if (result.skipped.length > 20) lines.push(`…and ${result.skipped.length - 20} more`);
+  }
+  return truncate(lines.join('\n'), 2000);
+}
+
+// ---------- Purge ----------
+const PURGE_SCAN_LIMIT = 5000; // messages looked at per purge, matching or not
+const BULK_DELETE_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000 - 60 * 1000; // Discord refuses older messages
+const LINK_REGEX = /https?:\/\/\S+/i;
+
+function messageTranscriptEntry(m) {
+  return {
+    messageId: m.id,
+    authorId: m.author?.id || null,
+    author: m.author?.tag || 'unknown author',
+    content: m.content || '',
+    attachments: [...(m.attachments?.values() || [])].map(a => ({ name: a.name, url: a.url })),
+    timestamp: new Date(m.createdTimestamp).toISOString()
+  };
+}
+
+function transcriptText(entries) {
+  return entries.map(e => {
+    const files = e.attachments.map(a => `\n    attachment: ${a.name} ${a.url}`).join('');
+    return `[${e.timestamp}] ${e.author}${e.authorId ? ` (${e.authorId})` : ''}: ${e.content}${files}`;
+  }).join('\n');
+}
+
+// filters: { userId, bots, contains, links, attachments, before, after }
+function purgeFilter(filters) {
+  const contains = filters.contains?.toLowerCase();
+  return m => {
+    if (m.pinned) return false;
+    if (filters.userId && m.author?.id !== filters.userId) return false;
+    if (filters.bots && !m.author?.bot) return false;
+    if (contains && !(m.content || '').toLowerCase().includes(contains)) return false;
+    if (filters.links && !LINK_REGEX.test(m.content || '')) return false;
+    if (filters.attachments && !m.attachments?.size) return false;
+    return true;
+  };
+}
+
+function describePurgeFilters(filters) {
+  const parts = [];
+  if (filters.userId) parts.push(`from <@${filters.userId}>`);
+  if (filters.bots) parts.push('bots only');
+  if (filters.contains) parts.push(`containing "${filters.contains}"`);
+  if (filters.links) parts.push('with links');
+  if (filters.attachments) parts.push('with attachments');
+  if (filters.before) parts.push(`before ${filters.before}`);
+  if (filters.after) parts.push(`after ${filters.after}`);
+  return parts.join(', ');
+}
+
+// Pages back through the channel (100 at a time) and collects up to `amount`
+// matching messages. Matches too old for bulk delete are returned separately.
+async function collectPurgeTargets(channel, amount, filters, excludeIds) {
+  const matches = purgeFilter(filters);
+  const after = filters.after ? BigInt(filters.after) : null;
+  const deletable = [];
+  const tooOld = [];
+  let cursor = filters.before || undefined;
+  let scanned = 0;
+  while (deletable.length + tooOld.length < amount && scanned < PURGE_SCAN_LIMIT) {
+    const page = await channel.messages.fetch({ limit: 100, before: cursor });
+    if (!page.size) break;
+    scanned += page.size;
+    let reachedAfter = false;
+    for (const m of page.values()) {
+      if (after !== null && BigInt(m.id) <= after) { reachedAfter = true; break; }
+      if (excludeIds.includes(m.id) || !matches(m)) continue;
+      if (Date.now() - m.createdTimestamp > BULK_DELETE_MAX_AGE_MS) tooOld.push(m);
+      else deletable.push(m);
+      if (deletable.length + tooOld.length >= amount) break;
+    }
+    if (reachedAfter || page.size < 100) break;
+    cursor = page.last().id;
+  }
+  return { deletable, tooOld, scanned };
+}
+
+async function purgeAction({ guild, issuer, channel, amount, filters = {}, excludeIds = [] }) {
+  if (!amount || amount < 1 || amount > PURGE_MAX) return `❌ Amount must be between 1 and ${PURGE_MAX}.`;
+  if ([filters.before, filters.after].some(id => id && !/^\d{17,20}$/.test(id))) return '❌ Before/after must be message IDs.';
+
+  const can = checkPermission(issuer, 'purge');
+  if (!can.ok) return '❌ You do not have permission to purge messages.';
+
+  let targets;
+  try {
+    targets = await collectPurgeTargets(channel, amount, filters, excludeIds);
+  } catch (err) {
+    console.error('Purge fetch error:', err);
+    return '❌ Failed to read messages in this channel.';
+  }
+
+  const deleted = [];
+  for (let i = 0; i < targets.deletable.length; i += 100) {
+    const batch = targets.deletable.slice(i, i + 100);
+    try {
+      if (batch.length === 1) {
+        await batch[0].delete();
+        deleted.push(batch[0]);
+      } else {
+        const removed = await channel.bulkDelete(batch.map(m => m.id), true);
+        deleted.push(...batch.filter(m => removed.has(m.id)));
+      }
+    } catch (err) {
+      console.error('Bulk delete error:', err);
+    }
+  }
+
+  const count = deleted.length;
+  const filterText = describePurgeFilters(filters);
+  const transcript = deleted
+    .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+    .map(messageTranscriptEntry);
+  const extra = { channel: channel.id, deletedCount: count, scanned: targets.scanned };
+  if (filterText) extra.filters = filterText;
+  if (targets.tooOld.length) extra.skippedTooOld = targets.tooOld.length;
+  const caseRecord = nextCase(guild.id, 'Purge', issuer.id, issuer.id, `Purged ${count} messages in ${channel.id}${filterText ? ` (${filterText})` : ''}`, extra);
+  caseRecord.transcript = transcript;
+  saveCase(caseRecord);
+
+  const files = count ? [new AttachmentBuilder(Buffer.from(transcriptText(transcript), 'utf8'), { name: `purge-case-${caseRecord.caseId}.txt` })] : [];
+  await sendModLog(guild, { ...caseRecord, color: 0x666666, files });
+
+  const lines = [`✅ Purged ${count} messages (case #${caseRecord.caseId}).`];
+  if (targets.tooOld.length) lines.push(`⚠️ ${targets.tooOld.length} matching message(s) are older than 14 days and can't be bulk deleted.`);
+  if (count < targets.deletable.length) lines.push(`⚠️ ${targets.deletable.length - count} message(s) could not be deleted.`);
+  return lines.join('\n');
+}
+
+// ---------- Automod ----------
+const INVITE_REGEX = /(?:discord\.gg|discord(?:app)?\.com\/invite)\/[\w-]+/i;
+const EMOJI_REGEX = /<a?:\w+:\d+>|\p{Extended_Pictographic}/gu;
+
+function defaultAutomodRules() {
+  const rule = (settings, actions) => ({ enabled: false, ...settings, actions, exemptRoles: [], exemptChannels: [] });
+  return {
+    spam: rule({ maxMessages: 5, windowSeconds: 5 }, { delete: true, warn: false, timeoutMinutes: 5 }),
+    mentions: rule({ maxMentions: 5 }, { delete: true, warn: true, timeoutMinutes: 0 }),
+    invites: rule({}, { delete: true, warn: true, timeoutMinutes: 0 }),
+    words: rule({ words: [], patterns: [] }, { delete: true, warn: false, timeoutMinutes: 0 }),
+    caps: rule({ minLength: 10, maxPercent: 70 }, { delete: true, warn: false, timeoutMinutes: 0 }),
+    emoji: rule({ maxEmoji: 10 }, { delete: true, warn: false, timeoutMinutes: 0 })
+  };
+}
+
+const spamTracker = new Map(); // `${guildId}:${userId}` -> { times: message timestamps, windowMs }
+const SPAM_SWEEP_INTERVAL_MS = 60 * 1000;
+let lastSpamSweep = 0;
+
+// Forgets authors whose last message is outside their window, at most once a minute.
+function sweepSpamTracker(now) {
+  if (now - lastSpamSweep < SPAM_SWEEP_INTERVAL_MS) return;
+  lastSpamSweep = now;
+  spamTracker.forEach((entry, key) => { if (now - entry.times[entry.times.length - 1] >= entry.windowMs) spamTracker.delete(key); });
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Each check returns a short description of the hit, or null.
+const automodChecks = {
+  spam(message, rule) {
+    const key = `${message.guild.id}:${message.author.id}`;
+    const now = Date.now();
+    const windowMs = rule.windowSeconds * 1000;
+    sweepSpamTracker(now);
+    const recent = (spamTracker.get(key)?.times || []).filter(t => now - t < windowMs);
+    recent.push(now);
+    spamTracker.set(key, { times: recent, windowMs });
+    if (recent.length <= rule.maxMessages) return null;
+    spamTracker.delete(key); // one hit per burst
+    return `${recent.length} messages in ${rule.windowSeconds}s`;
+  },
+  mentions(message, rule) {
+    const count = message.mentions.users.size + message.mentions.roles.size + (message.mentions.everyone ? 1 : 0);
+    return count > rule.maxMentions ? `${count} mentions` : null;
+  },
+  invites(message) {
+    const match = message.content.match(INVITE_REGEX);
+    return match ? `invite link ${match[0]}` : null;
+  },
+  words(message, rule) {
+    const word = rule.words.find(w => new RegExp(`\\b${escapeRegex(w)}\\b`, 'i').test(message.content));
+    if (word) return `blocked word "${word}"`;
+    const pattern = rule.patterns.find(p => new RegExp(p, 'i').test(message.content));
+    return pattern ? `blocked pattern /${pattern}/` : null;
+  },
+  caps(message, rule) {
+    const letters = message.content.replace(/[^a-z]/gi, '');
+    if (letters.length < rule.minLength) return null;
+    const percent = Math.round(letters.replace(/[^A-Z]/g, '').length / letters.length * 100);
+    return percent > rule.maxPercent ? `${percent}% caps` : null;
+  },
+  emoji(message, rule) {
+    const count = (message.content.match(EMOJI_REGEX) || []).length;
+    return count > rule.maxEmoji ? `${count} emoji` : null;
+  }
+};
+
+function isAutomodExempt(message, rule) {
+  if (rule.exemptChannels.includes(message.channel.id)) return true;
+  if (message.channel.parentId && rule.exemptChannels.includes(message.channel.parentId)) return true;
+  return rule.exemptRoles.some(roleId => message.member.roles.cache.has(roleId));
+}
+
+/**
+ * Runs the enabled rules against a message and applies the first hit.
+ * Actions are attributed to the bot; warn/timeout go through applyWarn/applyTimeout,
+ * a delete-only hit records an AutomodDelete case.
+ */
+async function runAutomod(message) {
+  const member = message.member;
+  if (!member || getMemberLevel(member) > 0 || message.guild.ownerId === member.id) return; // staff are exempt
+
+  const guildConfig = getGuildConfig(message.guild.id);
+  if (!guildConfig.features.automod) return;
+
+  for (const [name, rule] of Object.entries(guildConfig.automod.rules)) {
+    if (!rule.enabled || isAutomodExempt(message, rule)) continue;
+    const hit = automodChecks[name](message, rule);
+    if (!hit) continue;
+
+    const reason = `Automod (${name}): ${hit}`;
+    const extra = { automodRule: name, channel: message.channel.id };
+    const { actions } = rule;
+    if (actions.delete) await message.delete().catch(() => {});
+
+    let recorded = false;
+    if (actions.warn) {
+      await applyWarn({ guild: message.guild, moderatorId: client.user.id, targetUser: message.author, targetMember: member, reason, extra });
+      recorded = true;
+    }
+    if (actions.timeoutMinutes > 0) {
+      const caseRecord = await applyTimeout({ guild: message.guild, moderatorId: client.user.id, targetUser: message.author, targetMember: member, minutes: actions.timeoutMinutes, reason, extra });
+      recorded = recorded || !!caseRecord;
+    }
+    if (!recorded) {
+      const caseRecord = nextCase(message.guild.id, 'AutomodDelete', client.user.id, message.author.id, reason, { ...extra, content: truncate(message.content, 1000) });
+      await sendModLog(message.guild, { ...caseRecord, color: 0xcc6699 });
+    }
+    return;
+  }
+}
+
+function describeAutomodRule(name, rule) {
+  // functions, since each rule only has its own settings
+  const limits = {
+    spam: () => `${rule.maxMessages} msgs / ${rule.windowSeconds}s`,
+    mentions: () => `${rule.maxMentions} mentions`,
+    invites: () => 'any invite link',
+    words: () => `${rule.words.length} word(s), ${rule.patterns.length} regex(es)`,
+    caps: () => `>${rule.maxPercent}% caps (min ${rule.minLength} letters)`,
+    emoji: () => `${rule.maxEmoji} emoji`
+  }[name]();
+  const actions = [rule.actions.delete && 'delete', rule.actions.warn && 'warn', rule.actions.timeoutMinutes > 0 && `timeout ${rule.actions.timeoutMinutes}m`]
+    .filter(Boolean).join(', ') || 'none';
+  const exempt = rule.exemptRoles.map(id => `<@&${id}>`).concat(rule.exemptChannels.map(id => `<#${id}>`)).join(' ') || 'none';
+  return `${rule.enabled ? '🟢' : '⚪'} Limit: ${limits}\nActions: ${actions}\nExempt: ${exempt}`;
+}
+
+// ---------- Anti-raid ----------
+// Join-rate detection turns on raid mode; while it is on (or always, with
+// alwaysGate) joins from accounts younger than minAccountAgeDays are timed out
+// or kicked.
+function defaultAntiraidSettings() {
+  return { enabled: false, joinThreshold: 10, joinWindowSeconds: 60, minAccountAgeDays: 7, action: 'timeout', timeoutMinutes: 60, raidModeMinutes: 30, alwaysGate: false };
+}
+
+const joinTracker = new Map(); // guildId -> join timestamps
+
+function isRaidModeActive(guildId) {
+  const { raidMode } = getGuildConfig(guildId);
+  return !!raidMode && raidMode.until > Date.now();
+}
+
+// Posts to the mod log, pinging the top two staff tiers.
+async function alertStaff(guild, content) {
+  try {
+    const ch = await fetchModLogChannel(guild);
+    if (!ch) return;
+    const { roles } = getGuildConfig(guild.id);
+    const pings = [roles.supervisor, roles.assistantManager].filter(Boolean);
+    await ch.send({ content: `${pings.map(id => `<@&${id}>`).join(' ')} ${content}`.trim(), allowedMentions: { roles: pings } });
+  } catch (err) {
+    console.error('Failed to alert staff:', err);
+  }
+}
+
+async function startRaidMode(guild, moderatorId, reason, minutes) {
+  const guildConfig = getGuildConfig(guild.id);
+  const duration = minutes || guildConfig.antiraid.raidModeMinutes;
+  const until = Date.now() + duration * 60 * 1000;
+  if (isRaidModeActive(guild.id)) {
+    guildConfig.raidMode.until = Math.max(guildConfig.raidMode.until, until);
+    saveGuildSettings();
+    return null;
+  }
+  const caseRecord = nextCase(guild.id, 'RaidMode', moderatorId, moderatorId, reason, { minutes: duration });
+  guildConfig.raidMode = { since: Date.now(), until, caseId: caseRecord.caseId };
+  saveGuildSettings();
+  scheduleJob('raidModeEnd', until, { guildId: guild.id, caseId: caseRecord.caseId });
+  await sendModLog(guild, { ...caseRecord, color: 0xff0000 });
+  await alertStaff(guild, `🚨 **Raid mode on** (case #${caseRecord.caseId}): ${reason}. New accounts younger than ${guildConfig.antiraid.minAccountAgeDays} day(s) will get a ${guildConfig.antiraid.action} until <t:${Math.floor(until / 1000)}:t>.`);
+  return caseRecord;
+}
+
+async function endRaidMode(guild, moderatorId, reason) {
+  const guildConfig = getGuildConfig(guild.id);
+  if (!guildConfig.raidMode) return null;
+  const { caseId } = guildConfig.raidMode;
+  guildConfig.raidMode = null;
+  saveGuildSettings();
+  cancelJobs(job => job.type === 'raidModeEnd' && job.payload.caseId === caseId);
+  const caseRecord = nextCase(guild.id, 'RaidModeEnd', moderatorId, moderatorId, reason, { raidModeCase: caseId });
+  await sendModLog(guild, { ...caseRecord, color: 0x00aa00 });
+  return caseRecord;
+}
+
+async function gateJoin(member) {
+  const { antiraid } = getGuildConfig(member.guild.id);
+  const ageDays = (Date.now() - member.user.createdTimestamp) / 86400000;
+  if (ageDays >= antiraid.minAccountAgeDays) return;
+
+  const reason = `Account younger than ${antiraid.minAccountAgeDays} day(s) joined during ${isRaidModeActive(member.guild.id) ? 'raid mode' : 'the account-age gate'}`;
+  const extra = { accountAgeDays: ageDays.toFixed(1) };
+  try {
+    if (antiraid.action === 'kick') {
+      await member.kick(reason);
+    } else {
+      await member.timeout(antiraid.timeoutMinutes * 60 * 1000, reason);
+      extra.minutes = antiraid.timeoutMinutes;
+    }
+  } catch (err) {
+    console.error('Raid gate error:', err);
+    return;
+  }
+  const caseRecord = nextCase(member.guild.id, antiraid.action === 'kick' ? 'RaidKick' : 'RaidTimeout', client.user.id, member.id, reason, extra);
+  await sendModLog(member.guild, { ...caseRecord, color: 0xff6600 });
+}
+
+async function handleRaidJoin(member) {
+  if (member.user.bot) return;
+  const { antiraid } = getGuildConfig(member.guild.id);
+  if (antiraid.enabled) {
+    const now = Date.now();
+    const joins = (joinTracker.get(member.guild.id) || []).filter(t => now - t < antiraid.joinWindowSeconds * 1000);
+    joins.push(now);
+    joinTracker.set(member.guild.id, joins);
+    if (joins.length >= antiraid.joinThreshold) {
+      await startRaidMode(member.guild, client.user.id, `${joins.length} joins within ${antiraid.joinWindowSeconds}s`);
+    }
+  }
+  if (isRaidModeActive(member.guild.id) || antiraid.alwaysGate) await gateJoin(member);
+}
+
+function describeAntiraid(guildId) {
+  const { antiraid, raidMode } = getGuildConfig(guildId);
+  return [
+    `Detection: ${antiraid.enabled ? '🟢 on' : '⚪ off'} • ${antiraid.joinThreshold} joins / ${antiraid.joinWindowSeconds}s`,
+    `Gate: accounts < ${antiraid.minAccountAgeDays} day(s) → ${antiraid.action === 'kick' ? 'kick' : `${antiraid.timeoutMinutes}m timeout`}${antiraid.alwaysGate ? ' (always)' : ' (raid mode only)'}`,
+    `Raid mode lasts ${antiraid.raidModeMinutes}m`,
+    isRaidModeActive(guildId) ? `🚨 **Raid mode on** until <t:${Math.floor(raidMode.until / 1000)}:t> (case #${raidMode.caseId})` : 'Raid mode off'
+  ].join('\n');
+}
+
+// ---------- Punishment evasion ----------
+// Leaving doesn't end a punishment: quarantines and open acknowledgement
+// threads stay on their cases, so a rejoining member gets the jail role back
+// and is re-added to the threads. Rejoins of members with recent kicks/bans or
+// active warnings are reported to staff even when nothing is reapplied.
+const EVASION_LOOKBACK_DAYS = 30;
+const REMOVAL_ACTIONS = ['Kick', 'RaidKick', ...BAN_ACTIONS];
+
+function getActivePunishments(guildId, userId) {
+  return {
+    quarantine: getActiveQuarantine(guildId, userId),
+    pendingAcks: getPendingAcks(guildId).filter(r => r.targetUserId === userId)
+  };
+}
+
+function getRecentRemovals(guildId, userId) {
+  const since = Date.now() - EVASION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+  return cases.records.filter(r => inGuild(r, guildId) && !r.voided && r.targetUserId === userId && REMOVAL_ACTIONS.includes(r.action) && Date.parse(r.timestamp) >= since);
+}
+
+// Kicks and bans fire guildMemberRemove too; only leaving on their own counts.
+async function wasRemoved(guild, userId) {
+  if (await guild.bans.fetch(userId).catch(() => null)) return true;
+  const logs = await guild.fetchAuditLogs({ type: AuditLogEvent.MemberKick, limit: 5 }).catch(() => null);
+  return !!logs?.entries.find(e => e.targetId === userId && Date.now() - e.createdTimestamp < 15000);
+}
+
+async function flagEvasionLeave(member) {
+  const { guild } = member;
+  if (member.user.bot || !getGuildConfig(guild.id).features.evasion) return;
+  const { quarantine, pendingAcks } = getActivePunishments(guild.id, member.id);
+  if (!quarantine && !pendingAcks.length) return;
+  if (await wasRemoved(guild, member.id)) return;
+
+  const extra = {};
+  if (pendingAcks.length) extra.openAcks = pendingAcks.map(r => `#${r.caseId} ${r.action} (<#${r.ack.threadId}>)`).join(', ');
+  if (quarantine) extra.quarantineCase = quarantine.caseId;
+  const caseRecord = nextCase(guild.id, 'EvasionLeave', client.user.id, member.id, 'Left the server with an active punishment', extra);
+  await sendModLog(guild, { ...caseRecord, color: 0xff3366 });
+}
+
+async function handleEvasionRejoin(member) {
+  const { guild } = member;
+  if (member.user.bot || !getGuildConfig(guild.id).features.evasion) return;
+  const { quarantine, pendingAcks } = getActivePunishments(guild.id, member.id);
+  const removals = getRecentRemovals(guild.id, member.id);
+  const activeWarnings = getActiveWarningsFor(guild.id, member.id);
+  if (!quarantine && !pendingAcks.length && !removals.length && !activeWarnings.length) return;
+
+  const reapplied = [];
+  if (quarantine) {
+    const ok = await member.roles.add(quarantine.quarantine.jailRoleId, `Rejoined during quarantine (case ${quarantine.caseId})`)
+      .then(() => true, err => { console.error('Failed to reapply jail role:', err); return false; });
+    reapplied.push(`jail role${ok ? '' : ' **failed**'} (case #${quarantine.caseId})`);
+  }
+  for (const record of pendingAcks) {
+    const thread = await client.channels.fetch(record.ack.threadId).catch(() => null);
+    if (!thread) {
+      reapplied.push(`ack thread for case #${record.caseId} **missing**`);
+      continue;
+    }
+    if (thread.archived) await thread.setArchived(false).catch(() => {});
+    await thread.members.add(member.id).catch(() => {});
+    await thread.send(renderTemplate(guild, 'ack.rejoin', { caseId: record.caseId }, member.id).text).catch(() => {});
+    reapplied.push(`ack thread for case #${record.caseId}`);
+  }
+
+  let caseRecord = null;
+  if (reapplied.length) {
+    caseRecord = nextCase(guild.id, 'EvasionRejoin', client.user.id, member.id, 'Rejoined with an active punishment', { reapplied: reapplied.join(', ') });
+    await sendModLog(guild, { ...caseRecord, color: 0xff3366 });
+  }
+  const lines = [
+    reapplied.length && `Reapplied: ${reapplied.join(', ')}`,
+    removals.length && `Removed ${removals.length} time(s) in the last ${EVASION_LOOKBACK_DAYS} days: ${removals.map(r => `#${r.caseId} ${r.action}`).join(', ')}`,
+    activeWarnings.length && `${activeWarnings.length} active warning(s)`
+  ].filter(Boolean);
+  await alertStaff(guild, renderTemplate(guild, 'alert.evasion', {
+    user: `<@${member.id}>`,
+    tag: member.user.tag,
+    caseRef: caseRecord ? ` (case #${caseRecord.caseId})` : '',
+    details: lines.join('\n')
+  }, null).text);
+}
+
+// ---------- Lockdown and slowmode ----------
+const LOCKDOWN_PERMISSIONS = ['SendMessages', 'SendMessagesInThreads', 'CreatePublicThreads'];
+
+// Reads channel mentions/IDs out of `text`; falls back to `fallback` when none are given.
+// Only channels with permission overwrites are kept, so a thread fallback yields [].
+async function resolveChannels(guild, text, fallback) {
+  const ids = [...new Set((text || '').match(/\d{17,20}/g) || [])];
+  const channels = ids.length ? await Promise.all(ids.map(id => guild.channels.fetch(id).catch(() => null))) : [fallback];
+  return channels.filter(ch => ch?.permissionOverwrites);
+}
+
+const NO_LOCKABLE_CHANNELS = '❌ No lockable channels given. Threads cannot be locked on their own; name their parent channel instead.';
+
+async function lockdownAction({ guild, issuer, channels, reason }) {
+  const can = checkPermission(issuer, 'lockdown');
+  if (!can.ok) return '❌ You do not have permission to lock channels.';
+  if (!channels.length) return NO_LOCKABLE_CHANNELS;
+
+  const guildConfig = getGuildConfig(guild.id);
+  const everyone = guild.roles.everyone;
+  const locked = [];
+  const failed = [];
+  for (const channel of channels) {
+    if (guildConfig.lockdowns[channel.id]) { failed.push(`${channel} (already locked)`); continue; }
+    const overwrite = channel.permissionOverwrites.cache.get(everyone.id);
+    const previous = {};
+    LOCKDOWN_PERMISSIONS.forEach(perm => {
+      previous[perm] = overwrite?.allow.has(PermissionFlagsBits[perm]) ? true : overwrite?.deny.has(PermissionFlagsBits[perm]) ? false : null;
+    });
+    try {
+      await channel.permissionOverwrites.edit(everyone, Object.fromEntries(LOCKDOWN_PERMISSIONS.map(perm => [perm, false])), { reason: `Lockdown by ${issuer.id}: ${reason}` });
+      guildConfig.lockdowns[channel.id] = { previous, lockedAt: Date.now() };
+      locked.push(channel);
+    } catch (err) {
+      console.error('Lockdown error:', err);
+      failed.push(`${channel}`);
+    }
+  }
+  if (!locked.length) return `❌ Nothing was locked. ${failed.join(', ')}`;
+
+  const caseRecord = nextCase(guild.id, 'Lockdown', issuer.id, issuer.id, reason, { channels: locked.map(ch => `${ch}`).join(' ') });
+  locked.forEach(ch => { guildConfig.lockdowns[ch.id].caseId = caseRecord.caseId; });
+  saveGuildSettings();
+  await sendModLog(guild, { ...caseRecord, color: 0xaa0000 });
+  await Promise.all(locked.map(ch => ch.send(`🔒 This channel is locked: ${reason}`).catch(() => null)));
+  return `🔒 Locked ${locked.map(ch => `${ch}`).join(', ')} (case #${caseRecord.caseId}).${failed.length ? `\n⚠️ Skipped: ${failed.join(', ')}` : ''}`;
+}
+
+async function unlockAction({ guild, issuer, channels, reason }) {
+  const can = checkPermission(issuer, 'lockdown');
+  if (!can.ok) return '❌ You do not have permission to unlock channels.';
+  if (!channels.length) return NO_LOCKABLE_CHANNELS;
+
+  const guildConfig = getGuildConfig(guild.id);
+  const everyone = guild.roles.everyone;
+  const unlocked = [];
+  const failed = [];
+  for (const channel of channels) {
+    const lock = guildConfig.lockdowns[channel.id];
+    if (!lock) { failed.push(`${channel} (not locked by the bot)`); continue; }
+    try {
+      await channel.permissionOverwrites.edit(everyone, lock.previous, { reason: `Unlock by ${issuer.id}: ${reason}` });
+      delete guildConfig.lockdowns[channel.id];
+      unlocked.push(channel);
+    } catch (err) {
+      console.error('Unlock error:', err);
+      failed.push(`${channel}`);
+    }
+  }
+  if (!unlocked.length) return `❌ Nothing was unlocked. ${failed.join(', ')}`;
+
+  saveGuildSettings();
+  const caseRecord = nextCase(guild.id, 'Unlock', issuer.id, issuer.id, reason, { channels: unlocked.map(ch => `${ch}`).join(' ') });
+  await sendModLog(guild, { ...caseRecord, color: 0x00aa00 });
+  await Promise.all(unlocked.map(ch => ch.send('🔓 This channel is unlocked.').catch(() => null)));
+  return `🔓 Unlocked ${unlocked.map(ch => `${ch}`).join(', ')} (case #${caseRecord.caseId}).${failed.length ? `\n⚠️ Skipped: ${failed.join(', ')}` : ''}`;
+}
+
+async function slowmodeAction({ guild, issuer, channel, seconds, reason }) {
+  const can = checkPermission(issuer, 'slowmode');
+  if (!can.ok) return '❌ You do not have permission to change slowmode.';
+  if (!channel?.setRateLimitPerUser) return '❌ Slowmode cannot be set on that channel.';
+
+  try {
+    await channel.setRateLimitPerUser(seconds, `Slowmode by ${issuer.id}: ${reason}`);
+  } catch (err) {
+    console.error('Slowmode error:', err);
+    return '❌ Failed to change slowmode (check bot permissions).';
+  }
+  const caseRecord = nextCase(guild.id, 'Slowmode', issuer.id, issuer.id, reason, { channel: `${channel}`, seconds });
+  await sendModLog(guild, { ...caseRecord, color: 0x6699ff });
+  return seconds ? `🐢 Slowmode in ${channel} set to ${seconds}s.` : `✅ Slowmode in ${channel} turned off.`;
+}
+
+// ---------- Moderator statistics ----------
+const FLAG_MIN_ACTIONS = 5; // an action needs this many cases before one moderator's share is flagged
+const FLAG_SHARE = 0.6;
+
+// Aggregates non-voided cases since `since` (ms, null = all time).
+function computeModStats(guildId, since, moderatorId = null) {
+  const inRange = cases.records.filter(r => inGuild(r, guildId) && (!since || Date.parse(r.timestamp) >= since));
+  const records = inRange.filter(r => !r.voided && (!moderatorId || r.moderatorId === moderatorId));
+
+  const byAction = {};
+  const byModerator = {}; // moderatorId -> { total, actions: { action: n }, voided }
+  records.forEach(r => {
+    byAction[r.action] = (byAction[r.action] || 0) + 1;
+    const mod = byModerator[r.moderatorId] ||= { total: 0, actions: {}, voided: 0 };
+    mod.total++;
+    mod.actions[r.action] = (mod.actions[r.action] || 0) + 1;
+  });
+  inRange.filter(r => r.voided && byModerator[r.moderatorId]).forEach(r => { byModerator[r.moderatorId].voided++; });
+
+  const acks = {};
+  ['Warn', 'Timeout'].forEach(action => {
+    const withAck = records.filter(r => r.action === action && r.ack);
+    acks[action] = { total: withAck.length, acknowledged: withAck.filter(r => r.ack.status === 'acknowledged').length };
+  });
+
+  // one moderator issuing most of an action, or having many of their cases voided
+  const flags = [];
+  if (!moderatorId) {
+    const groups = { bans: BAN_ACTIONS, kicks: ['Kick'], timeouts: ['Timeout'], warnings: ['Warn'] };
+    Object.entries(groups).forEach(([label, actions]) => {
+      const total = actions.reduce((sum, a) => sum + (byAction[a] || 0), 0);
+      if (total < FLAG_MIN_ACTIONS) return;
+      Object.entries(byModerator).forEach(([id, mod]) => {
+        const count = actions.reduce((sum, a) => sum + (mod.actions[a] || 0), 0);
+        if (id !== client.user?.id && count / total >= FLAG_SHARE) flags.push(`<@${id}> issued ${count} of ${total} ${label} (${Math.round((count / total) * 100)}%)`);
+      });
+    });
+  }
+  Object.entries(byModerator).forEach(([id, mod]) => {
+    if (mod.voided >= 3 && mod.voided / (mod.total + mod.voided) >= 0.3) flags.push(`<@${id}> had ${mod.voided} case(s) voided`);
+  });
+
+  return { total: records.length, byAction, byModerator, acks, flags };
+}
+
+function buildModStatsEmbed(guild, stats, title) {
+  const count = obj => Object.entries(obj).sort((a, b) => b[1] - a[1]).map(([k, n]) => `${k} ×${n}`).join(', ');
+  const rate = ({ total, acknowledged }) => (total ? `${acknowledged}/${total} (${Math.round((acknowledged / total) * 100)}%)` : 'n/a');
+  const moderators = Object.entries(stats.byModerator)
+    .sort((a, b) => b[1].total - a[1].total)
+    .slice(0, 10)
+    .map(([id, mod]) => `<@${id}> — **${mod.total}**: ${count(mod.actions)}`);
+
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(`${guild.name} • ${stats.total} case(s)`)
+    .addFields(
+      { name: 'By action', value: truncate(count(stats.byAction), 1024) || 'No cases.' },
+      { name: 'By moderator', value: truncate(moderators.join('\n'), 1024) || 'No cases.' },
+      { name: 'Warn acknowledgement rate', value: rate(stats.acks.Warn), inline: true },
+      { name: 'Timeout acknowledgement rate', value: rate(stats.acks.Timeout), inline: true },
+      { name: '⚠️ Worth a look', value: truncate(stats.flags.join('\n'), 1024) || 'Nothing unusual.' }
+    )
+    .setColor(stats.flags.length ? 0xffaa00 : 0x3399ff)
+    .setTimestamp();
+}
+
+// Next occurrence of weekday/hour (UTC) after now.
+function nextDigestTime({ weekday, hour }) {
+  const next = new Date();
+  next.setUTCHours(hour, 0, 0, 0);
+  next.setUTCDate(next.getUTCDate() + ((weekday - next.getUTCDay() + 7) % 7));
+  if (next.getTime() <= Date.now()) next.setUTCDate(next.getUTCDate() + 7);
+  return next.getTime();
+}
+
+function scheduleDigest(guildId) {
+  cancelJobs(job => job.type === 'weeklyDigest' && job.payload.guildId === guildId);
+  const { digest } = getGuildConfig(guildId);
+  if (!digest.enabled) return null;
+  return scheduleJob('weeklyDigest', nextDigestTime(digest), { guildId });
+}
+
+// Called on ready: re-creates digest jobs for guilds that opted in, in case one went missing.
+function ensureDigestJobs() {
+  Object.entries(guildSettings.guilds).forEach(([guildId, settings]) => {
+    if (settings.digest?.enabled && !getPendingJobs(job => job.type === 'weeklyDigest' && job.payload.guildId === guildId).length) {
+      scheduleDigest(guildId);
+    }
+  });
+}
+
+// ---------- Prefix command helpers ----------
+const DURATION_UNITS = { w: 7 * 24 * 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, h: 60 * 60 * 1000, m: 60 * 1000, s: 1000 };
+
+// Parses "1h30m", "2d", "45s" into milliseconds; a bare number is minutes.
+function parseDuration(input) {
+  if (!input) return null;
+  if (/^\d+$/.test(input)) return Number(input) * DURATION_UNITS.m;
+  if (!/^(\d+[wdhms])+$/i.test(input)) return null;
+  let ms = 0;
+  for (const [, amount, unit] of input.toLowerCase().matchAll(/(\d+)([wdhms])/g)) {
+    ms += Number(amount) * DURATION_UNITS[unit];
+  }
+  return ms || null;
+}
+
+// Accepts a <@mention>, <@!mention> or raw ID and returns { user, member }.
+async function resolveTarget(guild, token) {
+  const id = token?.match(/^<@!?(\d{17,20})>$/)?.[1] || token?.match(/^(\d{17,20})$/)?.[1];
+  if (!id) return { user: null, member: null };
+  const user = await client.users.fetch(id).catch(() => null);
+  if (!user) return { user: null, member: null };
+  const member = await guild.members.fetch(id).catch(() => null);
+  return { user, member };
+}
+
+// name -> { usage, run(ctx, args) }; ctx is { guild, issuer, channel }
+const prefixCommands = {
+  warn: {
+    usage: 'warn <user> [reason]',
+    async run(ctx, args) {
+      const { user: targetUser, member: targetMember } = await resolveTarget(ctx.guild, args.shift());
+      if (!targetUser) return null;
+      return warnAction({ ...ctx, targetUser, targetMember, reason: args.join(' ') || 'No reason provided' });
+    }
+  },
+  warnings: {
+    usage: 'warnings <user>',
+    async run(ctx, args) {
+      const { user: targetUser } = await resolveTarget(ctx.guild, args.shift());
+      if (!targetUser) return null;
+      return warningsAction({ ...ctx, targetUser });
+    }
+  },
+  delwarn: {
+    usage: 'delwarn <warningId> <reason>',
+    async run(ctx, args) {
+      const warningId = Number(args.shift());
+      if (!Number.isInteger(warningId) || !args.length) return null;
+      return delwarnAction({ ...ctx, warningId, reason: args.join(' ') });
+    }
+  },
+  clearwarns: {
+    usage: 'clearwarns <user>',
+    async run(ctx, args) {
+      const { user: targetUser, member: targetMember } = await resolveTarget(ctx.guild, args.shift());
+      if (!targetUser) return null;
+      return clearwarnsAction({ ...ctx, targetUser, targetMember });
+    }
+  },
+  kick: {
+    usage: 'kick <user> [reason]',
+    async run(ctx, args) {
+      const { user: targetUser, member: targetMember } = await resolveTarget(ctx.guild, args.shift());
+      if (!targetUser) return null;
+      return kickAction({ ...ctx, targetUser, targetMember, reason: args.join(' ') || 'No reason provided' });
+    }
+  },
+  ban: {
+    usage: 'ban <user> [reason]',
+    async run(ctx, args) {
+      const { user: targetUser, member: targetMember } = await resolveTarget(ctx.guild, args.shift());
+      if (!targetUser) return null;
+      return banAction({ ...ctx, targetUser, targetMember, reason: args.join(' ') || 'No reason provided' });
+    }
+  },
+  tempban: {
+    usage: 'tempban <user> <duration e.g. 1h30m> [reason]',
+    async run(ctx, args) {
+      const { user: targetUser, member: targetMember } = await resolveTarget(ctx.guild, args.shift());
+      const ms = parseDuration(args.shift());
+      if (!targetUser || !ms) return null;
+      return tempbanAction({ ...ctx, targetUser, targetMember, minutes: Math.ceil(ms / 60000), reason: args.join(' ') || 'No reason provided' });
+    }
+  },
+  unban: {
+    usage: 'unban <userId> [reason]',
+    async run(ctx, args) {
+      const userId = args.shift()?.match(/^(?:<@!?)?(\d{17,20})>?$/)?.[1];
+      if (!userId) return null;
+      return unbanAction({ ...ctx, userId, reason: args.join(' ') || 'No reason provided' });
+    }
+  },
+  timeout: {
+    usage: 'timeout <user> <duration e.g. 1h30m> [reason]',
+    async run(ctx, args) {
+      const { user: targetUser, member: targetMember } = await resolveTarget(ctx.guild, args.shift());
+      const ms = parseDuration(args.shift());
+      if (!targetUser || !ms) return null;
+      return timeoutAction({ ...ctx, targetUser, targetMember, minutes: Math.ceil(ms / 60000), reason: args.join(' ') || 'No reason provided' });
+    }
+  },
+  quarantine: {
+    usage: 'quarantine <user> [duration e.g. 2d] <reason>',
+    async run(ctx, args) {
+      const { user: targetUser, member: targetMember } = await resolveTarget(ctx.guild, args.shift());
+      if (!targetUser) return null;
+      const ms = parseDuration(args[0]);
+      if (ms) args.shift();
+      if (!args.length) return null;
+      return quarantineAction({ ...ctx, targetUser, targetMember, minutes: ms ? Math.ceil(ms / 60000) : null, reason: args.join(' ') });
+    }
+  },
+  release: {
+    usage: 'release <user> [reason]',
+    async run(ctx, args) {
+      const { user: targetUser, member: targetMember } = await resolveTarget(ctx.guild, args.shift());
+      if (!targetUser) return null;
+      return releaseAction({ ...ctx, targetUser, targetMember, reason: args.join(' ') || 'Released by staff' });
+    }
+  },
+  untimeout: {
+    usage: 'untimeout <user>',
+    async run(ctx, args) {
+      const { user: targetUser, member: targetMember } = await resolveTarget(ctx.guild, args.shift());
+      if (!targetUser) return null;
+      return untimeoutAction({ ...ctx, targetUser, targetMember });
+    }
+  },
+  history: {
+    usage: 'history <user>',
+    async run(ctx, args) {
+      const { user: targetUser } = await resolveTarget(ctx.guild, args.shift());
+      if (!targetUser) return null;
+      return historyAction({ ...ctx, targetUser });
+    }
+  },
+  purge: {
+    usage: 'purge <amount> [@user]',
+    async run(ctx, args) {
+      const amount = Number(args.shift());
+      if (!Number.isInteger(amount)) return null;
+      const filters = {};
+      if (args.length) {
+        const { user } = await resolveTarget(ctx.guild, args.shift());
+        if (!user) return null;
+        filters.userId = user.id;
+      }
+      return purgeAction({ ...ctx, amount, filters });
+    }
+  }
+};
+
+// ---------- Interaction handler ----------
+const PRIVATE_COMMANDS = new Set(['note', 'userinfo', 'export', 'import']);
+const pendingEvidence = new Map(); // `${moderatorId}:${messageId}` -> { evidence, at }, between context menu and modal
+const PENDING_EVIDENCE_TTL_MS = 15 * 60 * 1000;
+
+client.once('ready', () => {
+  console.log(`✅ Moderation Bot logged in as ${client.user.tag}`);
+  client.user.setActivity('Moderation • Sweetsiez', { type: 'WATCHING' });
+  // with several guilds there is no safe guess: the primary guild also owns
+  // legacy records without a guildId
+  if (!guildSettings.primaryGuildId && (config.GUILD_ID || client.guilds.cache.size === 1)) {
+    guildSettings.primaryGuildId = config.GUILD_ID || client.guilds.cache.first().id;
+    saveGuildSettings();
+    console.log(`Primary guild set to ${guildSettings.primaryGuildId}; env settings apply to it.`);
+  } else if (!guildSettings.primaryGuildId && client.guilds.cache.size > 1) {
+    console.error(`The bot is in ${client.guilds.cache.size} guilds and GUILD_ID is not set; env settings and records without a guild are not applied anywhere until GUILD_ID names the primary guild.`);
+  }
+  loadScheduledJobs();
+  ensureDigestJobs();
+});
+
+client.on('interactionCreate', async (interaction) => {
+  try {
+    rememberLocale(interaction.user.id, interaction.locale);
+
+    // Autocomplete: /unban user_id suggests from the guild ban list
+    if (interaction.isAutocomplete() && interaction.commandName === 'permissions') {
+      const query = interaction.options.getFocused().toLowerCase();
+      const choices = Object.keys(DEFAULT_PERMISSIONS).filter(a => a.includes(query)).slice(0, 25).map(a => ({ name: a, value: a }));
+      return interaction.respond(choices);
+    }
+    if (interaction.isAutocomplete()) {
+      if (interaction.commandName !== 'unban') return;
+      if (!checkPermission(interaction.member, 'unban').ok) return interaction.respond([]);
+      const query = interaction.options.getFocused().toLowerCase();
+      const bans = await fetchBanList(interaction.guild);
+      if (!bans) return interaction.respond([]);
+      const choices = [...bans.values()]
+        .filter(b => b.user.id.includes(query) || b.user.tag.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(b => ({ name: `${b.user.tag} (${b.user.id})`.slice(0, 100), value: b.user.id }));
+      return interaction.respond(choices);
+    }
+
+    // Button interactions for history pagination
+    if (interaction.isButton() && interaction.customId.startsWith('history_')) {
+      const [, userId, page] = interaction.customId.split('_'); // history_USERID_PAGE
+      if (!checkPermission(interaction.member, 'history').ok) {
+        return interaction.reply({ content: '❌ You do not have permission to view case history.', ephemeral: true });
+      }
+      const user = await client.users.fetch(userId).catch(() => null);
+      if (!user) return interaction.reply({ content: 'User not found.', ephemeral: true });
+      return interaction.update(buildHistoryPage(interaction.guild.id, user, Number(page)));
+    }
+
+    // Button interactions for warnings pagination
+    if (interaction.isButton() && interaction.customId.startsWith('warnings_')) {
+      const [, userId, page] = interaction.customId.split('_'); // warnings_USERID_PAGE
+      if (!checkPermission(interaction.member, 'warnings').ok) {
+        return interaction.reply({ content: '❌ You do not have permission to view warnings.', ephemeral: true });
+      }
+      const user = await client.users.fetch(userId).catch(() => null);
+      if (!user) return interaction.reply({ content: 'User not found.', ephemeral: true });
+      return interaction.update(buildWarningsPage(interaction.guild.id, user, Number(page)));
+    }
+
+    // Message context menu: snapshot the message, then ask for a reason
+    if (interaction.isMessageContextMenuCommand()) {
+      const action = CONTEXT_ACTIONS[interaction.commandName];
+      if (!action) return;
+      const message = interaction.targetMessage;
+      if (!message.author || message.author.bot || message.webhookId) {
+        return interaction.reply({ content: '❌ That message was not sent by a member.', ephemeral: true });
+      }
+      const targetMember = await interaction.guild.members.fetch(message.author.id).catch(() => null);
+      const denied = action.permissions.find(p => !checkPermission(interaction.member, p, { targetMember }).ok);
+      if (denied) return interaction.reply({ content: '❌ You do not have permission to do that to this user.', ephemeral: true });
+
+      const now = Date.now();
+      pendingEvidence.forEach((entry, key) => { if (now - entry.at > PENDING_EVIDENCE_TTL_MS) pendingEvidence.delete(key); });
+      pendingEvidence.set(`${interaction.user.id}:${message.id}`, { evidence: captureEvidence(message), at: now });
+
+      const modal = new ModalBuilder()
+        .setCustomId(`ctxaction_${action.kind}_${message.channelId}_${message.id}`)
+        .setTitle(`${interaction.commandName}: ${truncate(message.author.username, 30)}`)
+        .addComponents(new ActionRowBuilder().addComponents(new TextInputBuilder()
+          .setCustomId('reason').setLabel('Reason').setStyle(TextInputStyle.Paragraph).setRequired(true).setMaxLength(1000)));
+      if (action.kind === 'timeout') {
+        modal.addComponents(new ActionRowBuilder().addComponents(new TextInputBuilder()
+          .setCustomId('duration').setLabel('Duration (e.g. 30m, 2h, 1d)').setStyle(TextInputStyle.Short).setRequired(true).setValue('1h').setMaxLength(20)));
+      }
+      return interaction.showModal(modal);
+    }
+
+    if (interaction.isModalSubmit() && interaction.customId.startsWith('ctxaction_')) {
+      const [, kind, channelId, messageId] = interaction.customId.split('_'); // ctxaction_KIND_CHANNELID_MESSAGEID
+      await interaction.deferReply({ ephemeral: true });
+      const guild = interaction.guild;
+      const issuer = interaction.member;
+      const key = `${interaction.user.id}:${messageId}`;
+      let evidence = pendingEvidence.get(key)?.evidence;
+      pendingEvidence.delete(key);
+      const channel = await guild.channels.fetch(channelId).catch(() => null);
+      const message = await channel?.messages.fetch(messageId).catch(() => null);
+      if (!evidence) {
+        if (!message) return interaction.editReply('❌ That message no longer exists.');
+        evidence = captureEvidence(message);
+      }
+
+      const targetUser = await client.users.fetch(evidence.authorId);
+      const targetMember = await guild.members.fetch(evidence.authorId).catch(() => null);
+      const reason = interaction.fields.getTextInputValue('reason');
+
+      if (kind === 'timeout') {
+        const ms = parseDuration(interaction.fields.getTextInputValue('duration'));
+        if (!ms) return interaction.editReply('❌ Invalid duration. Use something like 30m, 2h or 1d.');
+        return interaction.editReply(await timeoutAction({ guild, issuer, targetUser, targetMember, minutes: Math.ceil(ms / 60000), reason, evidence }));
+      }
+      if (kind === 'deletewarn') {
+        if (!checkPermission(issuer, 'message.delete', { targetMember }).ok) return interaction.editReply('❌ You do not have permission to delete that message.');
+        evidence.deleted = await message?.delete().then(() => true).catch(() => false) || false;
+      }
+      return interaction.editReply(await warnAction({ guild, issuer, targetUser, targetMember, reason, evidence }));
+    }
+
+    // Appeal button (ban DM or acknowledgement thread): open the form
+    if (interaction.isButton() && interaction.customId.startsWith('appeal_')) {
+      const [, guildId, target] = interaction.customId.split('_'); // appeal_GUILDID_CASEID|ban
+      const record = resolveAppealCase(guildId, interaction.user.id, target);
+      const problem = checkAppealAllowed(guildId, interaction.user.id, record);
+      if (problem) return interaction.reply({ content: `❌ ${problem}`, ephemeral: true });
+      return interaction.showModal(buildAppealModal(guildId, record.caseId));
+    }
+
+    if (interaction.isModalSubmit() && interaction.customId.startsWith('appealform_')) {
+      const [, guildId, caseId] = interaction.customId.split('_'); // appealform_GUILDID_CASEID
+      await interaction.deferReply({ ephemeral: true });
+      const record = resolveAppealCase(guildId, interaction.user.id, caseId);
+      const problem = checkAppealAllowed(guildId, interaction.user.id, record);
+      if (problem) return interaction.editReply(`❌ ${problem}`);
+      const guild = await client.guilds.fetch(guildId);
+      const answers = {
+        statement: interaction.fields.getTextInputValue('statement'),
+        changes: interaction.fields.getTextInputValue('changes') || ''
+      };
+      const appeal = await submitAppeal({ guild, user: interaction.user, record, answers });
+      return interaction.editReply(`✅ Appeal #${appeal.id} submitted. You will get a DM when staff decide.`);
+    }
+
+    // Staff decision buttons on an appeal
+    if (interaction.isButton() && interaction.customId.startsWith('appealdecide_')) {
+      const [, appealId, decision] = interaction.customId.split('_'); // appealdecide_APPEALID_accept|deny
+      const appeal = appeals.records.find(a => a.id === Number(appealId) && a.guildId === interaction.guild.id);
+      if (!appeal) return interaction.reply({ content: 'Appeal not found.', ephemeral: true });
+      if (!checkPermission(interaction.member, 'appeals.decide').ok) {
+        return interaction.reply({ content: '❌ You do not have permission to decide appeals.', ephemeral: true });
+      }
+      if (appeal.status !== 'pending') return interaction.reply({ content: `❌ Appeal #${appeal.id} was already ${appeal.status}.`, ephemeral: true });
 
-    await thread.send({ embeds: [embed], components: [ackButton] });
+      if (decision === 'deny') {
+        const modal = new ModalBuilder()
+          .setCustomId(`appealdeny_${appeal.id}`)
+          .setTitle(`Deny appeal #${appeal.id}`)
+          .addComponents(new ActionRowBuilder().addComponents(new TextInputBuilder()
+            .setCustomId('reason').setLabel('Reason (sent to the user)')
+            .setStyle(TextInputStyle.Paragraph).setRequired(true).setMaxLength(1000)));
+        return interaction.showModal(modal);
+      }
 
-    return thread;
-  } catch (err) {
-    console.error('Failed to create acknowledgement thread:', err);
-    return null;
-  }
-}
+      await interaction.deferUpdate();
+      try {
+        const caseRecord = await acceptAppeal({ guild: interaction.guild, moderatorId: interaction.user.id, appeal });
+        await interaction.editReply({ embeds: [buildAppealEmbed(appeal), ...interaction.message.embeds.slice(1)], components: [] });
+        return interaction.followUp({ content: `✅ Appeal #${appeal.id} accepted (Case ${caseRecord.caseId}).`, ephemeral: true });
+      } catch (err) {
+        console.error('Appeal accept error:', err);
+        return interaction.followUp({ content: '❌ Failed to apply the appeal (missing permissions?).', ephemeral: true });
+      }
+    }
 
-// ---------- Interaction handler ----------
-client.once('ready', () => {
-  console.log(`✅ Moderation Bot logged in as ${client.user.tag}`);
-  client.user.setActivity('Moderation • Sweetsiez', { type: 'WATCHING' });
-});
+    if (interaction.isModalSubmit() && interaction.customId.startsWith('appealdeny_')) {
+      const appeal = appeals.records.find(a => a.id === Number(interaction.customId.split('_')[1]) && a.guildId === interaction.guild.id);
+      if (!appeal || appeal.status !== 'pending') return interaction.reply({ content: '❌ That appeal is no longer pending.', ephemeral: true });
+      if (!checkPermission(interaction.member, 'appeals.decide').ok) {
+        return interaction.reply({ content: '❌ You do not have permission to decide appeals.', ephemeral: true });
+      }
+      await interaction.deferUpdate();
+      const { caseRecord, dmSent } = await denyAppeal({ guild: interaction.guild, moderatorId: interaction.user.id, appeal, reason: interaction.fields.getTextInputValue('reason') });
+      await interaction.editReply({ embeds: [buildAppealEmbed(appeal), ...interaction.message.embeds.slice(1)], components: [] });
+      return interaction.followUp({ content: `✅ Appeal #${appeal.id} denied (Case ${caseRecord.caseId}).${dmSent ? '' : ' ⚠️ The user could not be DMed.'}`, ephemeral: true });
+    }
 
-client.on('interactionCreate', async (interaction) => {
-  try {
     // Button interactions for acknowledgement
     if (interaction.isButton()) {
       const customId = interaction.customId; // ack_CASEID_0 or ack_CASEID_1
@@ -296,13 +3372,16 @@ client.on('interactionCreate', async (interaction) => {
       const caseId = Number(parts[1]);
       const ackRemovesTimeout = parts[2] === '1';
 
-      const record = cases.records.find(r => r.caseId === caseId);
+      const record = findCase(caseId, interaction.guild.id);
       if (!record) return interaction.reply({ content: 'Case not found.', ephemeral: true });
 
       // Only the punished user can ack
       if (interaction.user.id !== record.targetUserId) {
         return interaction.reply({ content: 'You are not the user this consequence applies to.', ephemeral: true });
       }
+      if (record.ack?.status === 'acknowledged') {
+        return interaction.reply({ content: `Case ${caseId} is already acknowledged.`, ephemeral: true });
+      }
 
       // If ackRemovesTimeout true and the user still is in the guild, remove timeout
       if (ackRemovesTimeout) {
@@ -316,11 +3395,19 @@ client.on('interactionCreate', async (interaction) => {
         }
       }
 
-      // Delete the thread immediately
+      if (record.ack) {
+        record.ack.status = 'acknowledged';
+        record.ack.acknowledgedAt = new Date().toISOString();
+        saveCase(record);
+        cancelJobs(j => (j.type === 'ackReminder' || j.type === 'ackDeadline') && j.payload.caseId === caseId);
+      }
+
+      // Delete the thread immediately (after keeping a transcript on the case)
       try {
         const thr = interaction.channel;
         // Only delete if this is a thread
         if (thr?.isThread()) {
+          if (record.ack) await saveAckTranscript(record, thr);
           await thr.delete().catch(() => {});
         } else {
           // fallback: respond and instruct user
@@ -331,7 +3418,7 @@ client.on('interactionCreate', async (interaction) => {
       }
 
       // Log acknowledgement as a case
-      const ackCase = nextCase('Acknowledge', client.user.id, record.targetUserId, `User acknowledged case ${caseId}`, { acknowledgedCase: caseId });
+      const ackCase = nextCase(interaction.guild.id, 'Acknowledge', client.user.id, record.targetUserId, `User acknowledged case ${caseId}`, { acknowledgedCase: caseId });
       await sendModLog(interaction.guild, { ...ackCase, color: 0x00cc66 });
 
       // respond ephemerally if not deleted
@@ -341,7 +3428,8 @@ client.on('interactionCreate', async (interaction) => {
 
     // Slash command flow
     if (!interaction.isChatInputCommand()) return;
-    await interaction.deferReply({ ephemeral: false });
+    // notes and profiles are staff-only
+    await interaction.deferReply({ ephemeral: PRIVATE_COMMANDS.has(interaction.commandName) });
 
     const commandName = interaction.commandName;
     const guild = interaction.guild;
@@ -355,237 +3443,624 @@ client.on('interactionCreate', async (interaction) => {
       return { user: u, member };
     }
 
+    // ---------- CONFIG ----------
+    if (commandName === 'config') {
+      if (!checkPermission(issuer, 'config').ok) return interaction.editReply('❌ You do not have permission to change settings.');
+      const sub = interaction.options.getSubcommand();
+      const guildConfig = getGuildConfig(guild.id);
+
+      if (sub === 'channel') {
+        const setting = interaction.options.getString('setting');
+        guildConfig[setting] = interaction.options.getChannel('channel')?.id || null;
+      } else if (sub === 'role') {
+        const tier = interaction.options.getString('tier');
+        guildConfig.roles[tier] = interaction.options.getRole('role')?.id || null;
+      } else if (sub === 'feature') {
+        guildConfig.features[interaction.options.getString('name')] = interaction.options.getBoolean('enabled');
+      } else if (sub === 'prefix') {
+        guildConfig.prefix = interaction.options.getString('prefix').trim() || config.PREFIX;
+      } else if (sub === 'appeals') {
+        const cooldownHours = interaction.options.getInteger('cooldown_hours');
+        const maxPerCase = interaction.options.getInteger('max_per_case');
+        if (cooldownHours !== null) guildConfig.appeals.cooldownHours = cooldownHours;
+        if (maxPerCase !== null) guildConfig.appeals.maxPerCase = maxPerCase;
+      } else if (sub === 'logignore') {
+        const channel = interaction.options.getChannel('channel');
+        const role = interaction.options.getRole('role');
+        const remove = interaction.options.getBoolean('remove') || false;
+        if (!channel && !role) return interaction.editReply('❌ Pick a channel or a role.');
+        const update = (list, id) => (remove ? list.filter(x => x !== id) : [...new Set([...list, id])]);
+        if (channel) guildConfig.logging.ignoredChannels = update(guildConfig.logging.ignoredChannels, channel.id);
+        if (role) guildConfig.logging.ignoredRoles = update(guildConfig.logging.ignoredRoles, role.id);
+      }
+      if (sub !== 'view') saveGuildSettings();
+      let jailNote = '';
+      if ((sub === 'role' && interaction.options.getString('tier') === 'jail') || (sub === 'channel' && interaction.options.getString('setting') === 'quarantineChannelId')) {
+        const applied = await applyJailOverwrites(guild);
+        if (applied) jailNote = ` Jail role limited to the quarantine channel (${applied.channels - applied.failed}/${applied.channels} channel(s) updated).`;
+      }
+      const jailLeaks = jailVisibleChannels(guild);
+
+      const show = id => (id ? `<#${id}>` : '*not set*');
+      const showRole = id => (id ? `<@&${id}>` : '*not set*');
+      const embed = new EmbedBuilder()
+        .setTitle(`Settings for ${guild.name}`)
+        .addFields(
+          { name: 'Mod log', value: show(guildConfig.modLogChannelId), inline: true },
+          { name: 'Message log', value: guildConfig.messageLogChannelId ? show(guildConfig.messageLogChannelId) : '*mod log*', inline: true },
+          { name: 'Member log', value: guildConfig.memberLogChannelId ? show(guildConfig.memberLogChannelId) : '*mod log*', inline: true },
+          { name: 'Rules channel', value: show(guildConfig.rulesChannelId), inline: true },
+          { name: 'Modmail', value: guildConfig.modmailChannelId ? show(guildConfig.modmailChannelId) : '*modmail off*', inline: true },
+          { name: 'Quarantine', value: `${showRole(guildConfig.roles.jail)} in ${show(guildConfig.quarantineChannelId)}${jailLeaks.length ? `\n⚠️ Jail role can also see ${truncate(jailLeaks.map(ch => `${ch}`).join(' '), 900)}` : ''}`, inline: true },
+          { name: 'Appeals channel', value: guildConfig.appealsChannelId ? `${show(guildConfig.appealsChannelId)} • ${guildConfig.appeals.maxPerCase} per case, ${guildConfig.appeals.cooldownHours}h cooldown` : '*appeals off*', inline: true },
+          { name: 'Prefix', value: `\`${guildConfig.prefix}\``, inline: true },
+          {
+            name: 'Staff roles',
+            value: [
+              `1 Staff assistant: ${showRole(guildConfig.roles.staffAssistant)}`,
+              `2 Assistant supervisor: ${showRole(guildConfig.roles.assistantSupervisor)}`,
+              `3 Supervisor: ${showRole(guildConfig.roles.supervisor)}`,
+              `4 Assistant manager: ${showRole(guildConfig.roles.assistantManager)}`,
+              `Unban: ${showRole(guildConfig.roles.unban)}`
+            ].join('\n')
+          },
+          { name: 'Features', value: Object.entries(guildConfig.features).map(([k, v]) => `${v ? '🟢' : '⚪'} ${k}`).join('\n') },
+          {
+            name: 'Not logged',
+            value: truncate(guildConfig.logging.ignoredChannels.map(id => `<#${id}>`).concat(guildConfig.logging.ignoredRoles.map(id => `<@&${id}>`)).join(' ') || 'nothing', 1024)
+          }
+        )
+        .setTimestamp();
+      return interaction.editReply({ content: sub === 'view' ? null : `✅ Settings updated.${jailNote}`, embeds: [embed] });
+    }
+
+    // ---------- PERMISSIONS ----------
+    if (commandName === 'permissions') {
+      const sub = interaction.options.getSubcommand();
+      const can = checkPermission(issuer, sub === 'view' ? 'permissions.view' : 'permissions.edit');
+      if (!can.ok) return interaction.editReply('❌ You do not have permission to manage permissions.');
+      const guildConfig = getGuildConfig(guild.id);
+      guildConfig.permissions = guildConfig.permissions || {};
+
+      if (sub !== 'view') {
+        const action = interaction.options.getString('action');
+        if (!DEFAULT_PERMISSIONS[action]) return interaction.editReply(`❌ Unknown action \`${action}\`.`);
+        const override = guildConfig.permissions[action] || {};
+
+        if (sub === 'level') {
+          override.minLevel = interaction.options.getInteger('tier');
+        } else if (sub === 'role') {
+          const roleId = interaction.options.getRole('role').id;
+          const roles = override.roles || [];
+          override.roles = interaction.options.getBoolean('remove') ? roles.filter(r => r !== roleId) : [...new Set([...roles, roleId])];
+        } else if (sub === 'limit') {
+          const tier = interaction.options.getInteger('tier');
+          const max = interaction.options.getInteger('max_minutes');
+          override.limits = { ...override.limits };
+          if (max) override.limits[tier] = max;
+          else delete override.limits[tier];
+        }
+        if (sub === 'reset') delete guildConfig.permissions[action];
+        else guildConfig.permissions[action] = override;
+        saveGuildSettings();
+      }
+
+      const tierNames = ['everyone', 'staff assistant+', 'assistant supervisor+', 'supervisor+', 'assistant manager+'];
+      const lines = Object.keys(DEFAULT_PERMISSIONS).map(action => {
+        const entry = getPermissionEntry(guild.id, action);
+        const who = [];
+        if (entry.minLevel !== null && entry.minLevel !== undefined) who.push(tierNames[entry.minLevel]);
+        entry.roles.forEach(id => who.push(`<@&${id}>`));
+        if (action === 'unban' && guildConfig.roles.unban) who.push(`<@&${guildConfig.roles.unban}>`);
+        if (entry.permission) who.push(`Discord ${entry.permission}`);
+        const limits = Object.entries(entry.limits).map(([tier, max]) => `tier ${tier} ≤ ${max}m`).join(', ');
+        return `\`${action}\`: ${who.join(', ') || 'owner only'}${limits ? ` (${limits})` : ''}`;
+      });
+      const embed = new EmbedBuilder()
+        .setTitle('Permission matrix')
+        .setDescription(truncate(lines.join('\n'), 4096))
+        .setFooter({ text: 'The server owner can always do everything.' })
+        .setTimestamp();
+      return interaction.editReply({ content: sub === 'view' ? null : '✅ Permissions updated.', embeds: [embed] });
+    }
+
     // ---------- WARN ----------
     if (commandName === 'warn') {
       const { user: targetUser, member: targetMember } = await fetchTarget('user');
       const reason = interaction.options.getString('reason') || 'No reason provided';
+      return interaction.editReply(await warnAction({ guild, issuer, targetUser, targetMember, reason }));
+    }
 
-      const can = checkCanModerate(issuer, targetMember, 1);
-      if (!can.ok) return interaction.editReply('❌ You do not have permission to warn this user.');
+    // ---------- ESCALATION ----------
+    if (commandName === 'escalation') {
+      const sub = interaction.options.getSubcommand();
 
-      // Apply a short timeout (10 minutes) so this is a "mute until ack" experience.
-      const timeoutMs = 10 * 60 * 1000;
-      try {
-        if (targetMember) {
-          await targetMember.timeout(timeoutMs, `Warn applied by ${issuer.id} - case pending acknowledgement`);
+      if (sub === 'view') {
+        const can = checkPermission(issuer, 'escalation.view');
+        if (!can.ok) return interaction.editReply('❌ You do not have permission to view the escalation ladder.');
+        const lines = getGuildConfig(guild.id).escalation.steps.map(step => `**${step.warnings}** warnings → ${describeEscalationStep(step)}`);
+        const embed = new EmbedBuilder()
+          .setTitle('Warning escalation ladder')
+          .setDescription(lines.length ? lines.join('\n') : 'No steps configured.')
+          .setTimestamp();
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const can = checkPermission(issuer, 'escalation.edit');
+      if (!can.ok) return interaction.editReply('❌ You do not have permission to edit the escalation ladder.');
+      const count = interaction.options.getInteger('warnings');
+      const { escalation } = getGuildConfig(guild.id);
+
+      if (sub === 'set') {
+        const action = interaction.options.getString('action');
+        const minutes = interaction.options.getInteger('minutes');
+        if ((action === 'timeout' || action === 'tempban') && !minutes) {
+          return interaction.editReply('❌ Timeout and tempban steps need a duration in minutes.');
         }
-      } catch (err) {
-        console.warn('Could not apply timeout on warn:', err);
-      }
-
-      const warning = addWarning(targetUser.id, issuer.id, reason);
-      const caseRecord = nextCase('Warn', issuer.id, targetUser.id, reason, { warningId: warning.id });
-      await sendModLog(guild, { ...caseRecord, color: 0xffcc00 });
-
-      // Create acknowledgement private thread in rules channel
-      const thread = await createAcknowledgementThread({
-        guild,
-        user: targetUser,
-        title: 'You have received a warning',
-        description: `You were warned in **${guild.name}** for: ${reason}\nYou have been muted for 10 minutes or until you acknowledge. Press the button to acknowledge.`,
-        caseId: caseRecord.caseId,
-        actionType: 'Warn',
-        ackRemovesTimeout: true // acknowledging removes timeout for warn
-      });
+        if (action === 'timeout' && minutes > 28 * 24 * 60) return interaction.editReply('❌ Invalid duration (1 to 40320 minutes).');
+
+        const step = { warnings: count, action };
+        if (action === 'timeout' || action === 'tempban') step.minutes = minutes;
+        escalation.steps = escalation.steps.filter(st => st.warnings !== count).concat(step).sort((a, b) => a.warnings - b.warnings);
+        saveGuildSettings();
+        return interaction.editReply(`✅ ${count} warnings → ${describeEscalationStep(step)}.`);
+      }
 
-      return interaction.editReply(`✅ Warned <@${targetUser.id}> (Case ${caseRecord.caseId}). A private acknowledgement thread has been opened in the rules channel.`);
+      if (sub === 'remove') {
+        const before = escalation.steps.length;
+        escalation.steps = escalation.steps.filter(st => st.warnings !== count);
+        if (escalation.steps.length === before) return interaction.editReply(`❌ No step at ${count} warnings.`);
+        saveGuildSettings();
+        return interaction.editReply(`✅ Removed the step at ${count} warnings.`);
+      }
     }
 
     // ---------- WARNINGS ----------
     if (commandName === 'warnings') {
-      const target = interaction.options.getUser('user');
-      const userWarnings = getWarningsFor(target.id);
-      if (userWarnings.length === 0) return interaction.editReply(`${target.tag} has no warnings.`);
-
-      const embed = new EmbedBuilder()
-        .setTitle(`Warnings for ${target.tag}`)
-        .setDescription(`Count: ${userWarnings.length}`)
-        .setTimestamp();
-
-      userWarnings.slice(-10).forEach(w => {
-        embed.addFields({ name: `ID ${w.id} — ${new Date(w.timestamp).toLocaleString()}`, value: `By <@${w.moderatorId}> — ${w.reason}` });
-      });
+      const targetUser = interaction.options.getUser('user');
+      return interaction.editReply(await warningsAction({ guild, issuer, targetUser }));
+    }
 
-      return interaction.editReply({ embeds: [embed] });
+    // ---------- DELWARN ----------
+    if (commandName === 'delwarn') {
+      const warningId = interaction.options.getInteger('id');
+      const reason = interaction.options.getString('reason');
+      return interaction.editReply(await delwarnAction({ guild, issuer, warningId, reason }));
     }
 
     // ---------- CLEARWARNS ----------
     if (commandName === 'clearwarns') {
       const { user: targetUser, member: targetMember } = await fetchTarget('user');
+      return interaction.editReply(await clearwarnsAction({ guild, issuer, targetUser, targetMember }));
+    }
+
+    // ---------- AUTOMOD ----------
+    if (commandName === 'automod') {
+      const sub = interaction.options.getSubcommand();
+      const can = checkPermission(issuer, sub === 'view' ? 'automod.view' : 'automod.edit');
+      if (!can.ok) return interaction.editReply('❌ You do not have permission to manage automod.');
+      const { automod } = getGuildConfig(guild.id);
+
+      if (sub === 'view') {
+        const embed = new EmbedBuilder().setTitle('Automod rules').setTimestamp();
+        Object.entries(automod.rules).forEach(([name, rule]) => {
+          embed.addFields({ name, value: truncate(describeAutomodRule(name, rule), 1024) });
+        });
+        return interaction.editReply({ embeds: [embed] });
+      }
 
-      const can = checkCanModerate(issuer, targetMember, 4); // assistant manager+
-      if (!can.ok) return interaction.editReply('❌ You do not have permission to clear warnings.');
+      if (sub === 'filter') {
+        const mode = interaction.options.getString('mode');
+        const pattern = interaction.options.getString('pattern').trim();
+        const isRegex = interaction.options.getBoolean('regex') || false;
+        const list = isRegex ? automod.rules.words.patterns : automod.rules.words.words;
+        if (mode === 'add') {
+          if (isRegex) {
+            try { new RegExp(pattern, 'i'); } catch (err) { return interaction.editReply(`❌ Invalid regex: ${err.message}`); }
+          }
+          if (!list.includes(pattern)) list.push(pattern);
+        } else {
+          const index = list.indexOf(pattern);
+          if (index === -1) return interaction.editReply('❌ That entry is not in the filter.');
+          list.splice(index, 1);
+        }
+        saveGuildSettings();
+        return interaction.editReply(`✅ ${mode === 'add' ? 'Added' : 'Removed'} ${isRegex ? 'regex' : 'word'} \`${pattern}\`.`);
+      }
 
-      const removed = clearWarningsFor(targetUser.id);
-      const caseRecord = nextCase('ClearWarns', issuer.id, targetUser.id, `Cleared ${removed} warnings`);
-      await sendModLog(guild, { ...caseRecord, color: 0x00cc66 });
+      const ruleName = interaction.options.getString('rule');
+      const rule = automod.rules[ruleName];
 
-      return interaction.editReply(`✅ Cleared ${removed} warnings for <@${targetUser.id}> (Case ${caseRecord.caseId}).`);
+      if (sub === 'toggle') {
+        rule.enabled = interaction.options.getBoolean('enabled');
+      } else if (sub === 'actions') {
+        rule.actions = {
+          delete: interaction.options.getBoolean('delete'),
+          warn: interaction.options.getBoolean('warn'),
+          timeoutMinutes: interaction.options.getInteger('timeout_minutes')
+        };
+      } else if (sub === 'threshold') {
+        const value = interaction.options.getInteger('value');
+        if (ruleName === 'spam') {
+          rule.maxMessages = value;
+          rule.windowSeconds = interaction.options.getInteger('window_seconds') || rule.windowSeconds;
+        } else if (ruleName === 'mentions') rule.maxMentions = value;
+        else if (ruleName === 'caps') rule.maxPercent = Math.min(value, 100);
+        else if (ruleName === 'emoji') rule.maxEmoji = value;
+      } else if (sub === 'exempt') {
+        const role = interaction.options.getRole('role');
+        const channel = interaction.options.getChannel('channel');
+        const remove = interaction.options.getBoolean('remove') || false;
+        if (!role && !channel) return interaction.editReply('❌ Pick a role or a channel.');
+        const update = (list, id) => (remove ? list.filter(x => x !== id) : [...new Set([...list, id])]);
+        if (role) rule.exemptRoles = update(rule.exemptRoles, role.id);
+        if (channel) rule.exemptChannels = update(rule.exemptChannels, channel.id);
+      }
+      saveGuildSettings();
+      return interaction.editReply({ content: `✅ Updated automod rule **${ruleName}**.`, embeds: [new EmbedBuilder().setDescription(describeAutomodRule(ruleName, rule))] });
     }
 
     // ---------- KICK ----------
     if (commandName === 'kick') {
       const { user: targetUser, member: targetMember } = await fetchTarget('user');
       const reason = interaction.options.getString('reason') || 'No reason provided';
-      if (!targetMember) return interaction.editReply('❌ User not found in guild.');
-
-      const can = checkCanModerate(issuer, targetMember, 3);
-      if (!can.ok) return interaction.editReply('❌ You do not have permission to kick this user.');
-
-      // DM the user about kick before kicking (some may have DMs off)
-      try {
-        await targetUser.send(`You were kicked from **${guild.name}** for: ${reason}`);
-      } catch (err) { /* ignore */ }
-
-      await targetMember.kick(reason).catch(err => {
-        console.error('Kick error:', err);
-        return interaction.editReply('❌ Failed to kick user (missing permissions?).');
-      });
-
-      const caseRecord = nextCase('Kick', issuer.id, targetUser.id, reason);
-      await sendModLog(guild, { ...caseRecord, color: 0xff6600 });
-
-      return interaction.editReply(`✅ Kicked <@${targetUser.id}> (Case ${caseRecord.caseId}).`);
+      return interaction.editReply(await kickAction({ guild, issuer, targetUser, targetMember, reason }));
     }
 
     // ---------- BAN ----------
     if (commandName === 'ban') {
       const { user: targetUser, member: targetMember } = await fetchTarget('user');
       const reason = interaction.options.getString('reason') || 'No reason provided';
+      return interaction.editReply(await banAction({ guild, issuer, targetUser, targetMember, reason }));
+    }
 
-      const can = checkCanModerate(issuer, targetMember, 2);
-      if (!can.ok) return interaction.editReply('❌ You do not have permission to ban this user.');
+    // ---------- TEMPBAN ----------
+    if (commandName === 'tempban') {
+      const { user: targetUser, member: targetMember } = await fetchTarget('user');
+      const minutes = interaction.options.getInteger('minutes');
+      const reason = interaction.options.getString('reason') || 'No reason provided';
+      return interaction.editReply(await tempbanAction({ guild, issuer, targetUser, targetMember, minutes, reason }));
+    }
 
-      // DM the user (ban/kick allowed to dm)
-      try {
-        await targetUser.send(`You were banned from **${guild.name}** for: ${reason}`);
-      } catch (err) { /* ignore */ }
+    // ---------- UNBAN ----------
+    if (commandName === 'unban') {
+      const userId = interaction.options.getString('user_id').trim();
+      const reason = interaction.options.getString('reason') || 'No reason provided';
+      return interaction.editReply(await unbanAction({ guild, issuer, userId, reason }));
+    }
 
-      await guild.members.ban(targetUser.id, { reason }).catch(err => {
-        console.error('Ban error:', err);
-        return interaction.editReply('❌ Failed to ban user (missing permissions?).');
-      });
+    // ---------- TIMEOUT ----------
+    if (commandName === 'timeout') {
+      const { user: targetUser, member: targetMember } = await fetchTarget('user');
+      const minutes = interaction.options.getInteger('minutes');
+      const reason = interaction.options.getString('reason') || 'No reason provided';
+      return interaction.editReply(await timeoutAction({ guild, issuer, targetUser, targetMember, minutes, reason }));
+    }
 
-      const caseRecord = nextCase('Ban', issuer.id, targetUser.id, reason);
-      await sendModLog(guild, { ...caseRecord, color: 0x990000 });
+    // ---------- MODMAIL ----------
+    if (commandName === 'modmail') {
+      const sub = interaction.options.getSubcommand();
+      const ticket = getOpenTicket(t => t.threadId === interaction.channelId);
+      if (sub === 'block') {
+        const userId = interaction.options.getUser('user')?.id || ticket?.userId;
+        if (!userId) return interaction.editReply('❌ Pick a user, or run this in a modmail thread.');
+        const reason = interaction.options.getString('reason') || 'No reason provided';
+        return interaction.editReply(await modmailBlockAction({ guild, issuer, userId, remove: interaction.options.getBoolean('remove') || false, reason }));
+      }
 
-      return interaction.editReply(`✅ Banned <@${targetUser.id}> (Case ${caseRecord.caseId}).`);
+      const can = checkPermission(issuer, 'modmail');
+      if (!can.ok) return interaction.editReply('❌ You do not have permission to use modmail.');
+      if (!ticket) return interaction.editReply('❌ Run this inside an open modmail thread.');
+      if (sub === 'reply') {
+        const anonymous = interaction.options.getBoolean('anonymous') ?? true;
+        return interaction.editReply(await modmailReplyAction({
+          ticket,
+          issuer,
+          text: interaction.options.getString('message'),
+          anonymous,
+          attachment: interaction.options.getAttachment('attachment')
+        }));
+      }
+      await interaction.editReply('📪 Closing…');
+      await closeModmailTicket({ guild, ticket, closedBy: issuer.id, reason: interaction.options.getString('reason') });
+      return;
     }
 
-    // ---------- TEMPBAN ----------
-    if (commandName === 'tempban') {
+    // ---------- QUARANTINE / RELEASE ----------
+    if (commandName === 'quarantine') {
       const { user: targetUser, member: targetMember } = await fetchTarget('user');
       const minutes = interaction.options.getInteger('minutes');
-      const reason = interaction.options.getString('reason') || 'No reason provided';
-      if (isNaN(minutes) || minutes <= 0) return interaction.editReply('❌ Invalid duration (minutes).');
+      const reason = interaction.options.getString('reason');
+      return interaction.editReply(await quarantineAction({ guild, issuer, targetUser, targetMember, minutes, reason }));
+    }
 
-      const can = checkCanModerate(issuer, targetMember, 2);
-      if (!can.ok) return interaction.editReply('❌ You do not have permission to tempban this user.');
+    if (commandName === 'release') {
+      const { user: targetUser, member: targetMember } = await fetchTarget('user');
+      const reason = interaction.options.getString('reason') || 'Released by staff';
+      return interaction.editReply(await releaseAction({ guild, issuer, targetUser, targetMember, reason }));
+    }
 
-      // DM the user
-      try {
-        await targetUser.send(`You were temporarily banned from **${guild.name}** for ${minutes} minute(s): ${reason}`);
-      } catch (err) { /* ignore */ }
+    // ---------- UNTIMEOUT ----------
+    if (commandName === 'untimeout') {
+      const { user: targetUser, member: targetMember } = await fetchTarget('user');
+      return interaction.editReply(await untimeoutAction({ guild, issuer, targetUser, targetMember }));
+    }
 
-      await guild.members.ban(targetUser.id, { reason }).catch(err => {
-        console.error('Tempban ban error:', err);
-        return interaction.editReply('❌ Failed to ban user (missing permissions?).');
-      });
+    // ---------- CASE ----------
+    if (commandName === 'case') {
+      const sub = interaction.options.getSubcommand();
+      const caseId = interaction.options.getInteger('id');
+      const record = findCase(caseId, guild.id);
+      if (!record) return interaction.editReply(`❌ Case ${caseId} not found.`);
 
-      const expiresAt = Date.now() + minutes * 60 * 1000;
-      const caseRecord = nextCase('TempBan', issuer.id, targetUser.id, reason, { expiresAt });
-      await sendModLog(guild, { ...caseRecord, color: 0xaa0000, extra: { ExpiresAt: new Date(expiresAt).toISOString() } });
+      if (sub === 'view') {
+        const can = checkPermission(issuer, 'case.view');
+        if (!can.ok) return interaction.editReply('❌ You do not have permission to view cases.');
+        return interaction.editReply({ embeds: [buildCaseEmbed(record)] });
+      }
 
-      // schedule unban (non-persistent). Recommend persistent scheduler later.
-      setTimeout(async () => {
-        try {
-          const g = await client.guilds.fetch(guild.id);
-          await g.bans.remove(targetUser.id, 'Tempban expired');
-          const unbanRecord = nextCase('AutoUnban', client.user.id, targetUser.id, 'Tempban expired');
-          await sendModLog(g, { ...unbanRecord, color: 0x00aa00 });
-        } catch (err) {
-          console.error('Auto unban failed:', err);
-        }
-      }, minutes * 60 * 1000);
+      if (sub === 'reason') {
+        // the original moderator may amend their own case under case.reason.own
+        const can = record.moderatorId === issuer.id && checkPermission(issuer, 'case.reason.own').ok ? { ok: true } : checkPermission(issuer, 'case.reason');
+        if (!can.ok) return interaction.editReply('❌ You do not have permission to edit this case.');
+        if (record.voided) return interaction.editReply('❌ Voided cases cannot be edited.');
+
+        const text = interaction.options.getString('text');
+        record.edits = record.edits || [];
+        record.edits.push({ moderatorId: issuer.id, oldReason: record.reason, newReason: text, timestamp: new Date().toISOString() });
+        record.reason = text;
+        saveCase(record);
+
+        const caseRecord = nextCase(guild.id, 'CaseEdit', issuer.id, record.targetUserId, text, { editedCase: record.caseId });
+        await sendModLog(guild, { ...caseRecord, color: 0x3399ff });
+        return interaction.editReply(`✅ Updated reason for case ${record.caseId} (Case ${caseRecord.caseId}).`);
+      }
 
-      return interaction.editReply(`✅ Tempbanned <@${targetUser.id}> for ${minutes} minute(s) (Case ${caseRecord.caseId}).`);
+      if (sub === 'void') {
+        const can = checkPermission(issuer, 'case.void');
+        if (!can.ok) return interaction.editReply('❌ You do not have permission to void cases.');
+        if (record.voided) return interaction.editReply(`❌ Case ${record.caseId} is already void.`);
+
+        const justification = interaction.options.getString('justification');
+        record.voided = { moderatorId: issuer.id, reason: justification, timestamp: new Date().toISOString() };
+        saveCase(record);
+        // a void takes back the warning and the acknowledgement follow-ups; unban
+        // and release jobs stay so a voided tempban or quarantine still lifts on time
+        const warning = removeCaseWarning(guild.id, record);
+        cancelJobs(j => (j.type === 'ackReminder' || j.type === 'ackDeadline') && j.payload.caseId === record.caseId);
+
+        const extra = { voidedCase: record.caseId };
+        if (warning) extra.removedWarning = warning.id;
+        const caseRecord = nextCase(guild.id, 'CaseVoid', issuer.id, record.targetUserId, justification, extra);
+        await sendModLog(guild, { ...caseRecord, color: 0x666666 });
+        return interaction.editReply(`✅ Voided case ${record.caseId} (Case ${caseRecord.caseId})${warning ? ` and removed warning ${warning.id}` : ''}.`);
+      }
     }
 
-    // ---------- TIMEOUT ----------
-    if (commandName === 'timeout') {
+    // ---------- HISTORY ----------
+    if (commandName === 'history') {
+      const targetUser = interaction.options.getUser('user');
+      return interaction.editReply(await historyAction({ guild, issuer, targetUser }));
+    }
+
+    // ---------- NOTE ----------
+    if (commandName === 'note') {
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'remove') return interaction.editReply(await noteRemoveAction({ guild, issuer, noteId: interaction.options.getInteger('id') }));
+      const targetUser = interaction.options.getUser('user');
+      if (sub === 'add') return interaction.editReply(await noteAddAction({ guild, issuer, targetUser, text: interaction.options.getString('text') }));
+      return interaction.editReply(await noteListAction({ guild, issuer, targetUser }));
+    }
+
+    // ---------- USERINFO ----------
+    if (commandName === 'userinfo') {
       const { user: targetUser, member: targetMember } = await fetchTarget('user');
-      const minutes = interaction.options.getInteger('minutes');
-      const reason = interaction.options.getString('reason') || 'No reason provided';
+      return interaction.editReply(await userinfoAction({ guild, issuer, targetUser, targetMember }));
+    }
 
-      if (!targetMember) return interaction.editReply('❌ User not found in guild.');
-      if (isNaN(minutes) || minutes <= 0 || minutes > 28 * 24 * 60) return interaction.editReply('❌ Invalid duration (1 to 40320 minutes).');
+    // ---------- EXPORT / IMPORT ----------
+    if (commandName === 'export') {
+      const query = {
+        from: interaction.options.getString('from')?.trim(),
+        to: interaction.options.getString('to')?.trim(),
+        action: interaction.options.getString('action')?.replace(/\s+/g, ''),
+        moderator: interaction.options.getUser('moderator')?.id,
+        user: interaction.options.getUser('target')?.id
+      };
+      Object.keys(query).forEach(key => { if (!query[key]) delete query[key]; });
+      return interaction.editReply(await exportAction({ guild, issuer, format: interaction.options.getString('format'), query }));
+    }
 
-      const can = checkCanModerate(issuer, targetMember, 3);
-      if (!can.ok) return interaction.editReply('❌ You do not have permission to timeout this user.');
+    if (commandName === 'import') {
+      return interaction.editReply(await importAction({ guild, issuer, attachment: interaction.options.getAttachment('file') }));
+    }
 
-      const msDuration = minutes * 60 * 1000;
-      await targetMember.timeout(msDuration, reason).catch(err => {
-        console.error('Timeout error:', err);
-        return interaction.editReply('❌ Failed to timeout user (missing permissions?).');
-      });
+    // ---------- MODSTATS ----------
+    if (commandName === 'modstats') {
+      const can = checkPermission(issuer, 'modstats');
+      if (!can.ok) return interaction.editReply('❌ You do not have permission to view moderator statistics.');
+      const moderator = interaction.options.getUser('moderator');
+      const period = MODSTATS_PERIODS[interaction.options.getString('period') || '30d'];
+      const stats = computeModStats(guild.id, period.ms && Date.now() - period.ms, moderator?.id);
+      return interaction.editReply({ embeds: [buildModStatsEmbed(guild, stats, `📊 Moderation stats${moderator ? ` for ${moderator.tag}` : ''} — ${period.label}`)] });
+    }
 
-      const caseRecord = nextCase('Timeout', issuer.id, targetUser.id, reason, { durationMinutes: minutes });
-      await sendModLog(guild, { ...caseRecord, color: 0x9933ff });
-
-      // Create acknowledgement thread; per your requirement: acknowledging does NOT untimeout
-      const thread = await createAcknowledgementThread({
-        guild,
-        user: targetUser,
-        title: 'You have been timed out',
-        description: `You have been timed out in **${guild.name}** for ${minutes} minute(s): ${reason}\nAcknowledging will confirm you have read this but will NOT remove your timeout.`,
-        caseId: caseRecord.caseId,
-        actionType: 'Timeout',
-        ackRemovesTimeout: false
-      });
+    // ---------- DIGEST ----------
+    if (commandName === 'digest') {
+      const can = checkPermission(issuer, 'digest');
+      if (!can.ok) return interaction.editReply('❌ You do not have permission to manage the digest.');
+      const sub = interaction.options.getSubcommand();
+      const { digest } = getGuildConfig(guild.id);
+
+      if (sub === 'preview') {
+        return interaction.editReply({ embeds: [buildModStatsEmbed(guild, computeModStats(guild.id, Date.now() - MODSTATS_PERIODS['7d'].ms), '📊 Weekly moderation digest (preview)')] });
+      }
+      if (sub === 'disable') {
+        digest.enabled = false;
+        saveGuildSettings();
+        scheduleDigest(guild.id);
+        return interaction.editReply('✅ Weekly digest disabled.');
+      }
 
-      return interaction.editReply(`✅ Timed out <@${targetUser.id}> for ${minutes} minute(s) (Case ${caseRecord.caseId}). A private acknowledgement thread has been opened in the rules channel.`);
+      const channel = interaction.options.getChannel('channel');
+      if (!channel.isTextBased?.()) return interaction.editReply('❌ Pick a text channel.');
+      digest.enabled = true;
+      digest.channelId = channel.id;
+      digest.weekday = interaction.options.getInteger('weekday') ?? digest.weekday;
+      digest.hour = interaction.options.getInteger('hour') ?? digest.hour;
+      saveGuildSettings();
+      const job = scheduleDigest(guild.id);
+      return interaction.editReply(`✅ Weekly digest will post in ${channel} every ${WEEKDAYS[digest.weekday]} at ${String(digest.hour).padStart(2, '0')}:00 UTC (next <t:${Math.floor(job.runAt / 1000)}:R>).`);
     }
 
-    // ---------- UNTIMEOUT ----------
-    if (commandName === 'untimeout') {
-      const { user: targetUser, member: targetMember } = await fetchTarget('user');
-      if (!targetMember) return interaction.editReply('❌ User not found in guild.');
+    // ---------- TEMPLATE ----------
+    if (commandName === 'template') {
+      const can = checkPermission(issuer, 'templates');
+      if (!can.ok) return interaction.editReply('❌ You do not have permission to edit message templates.');
+      const sub = interaction.options.getSubcommand();
+      const guildConfig = getGuildConfig(guild.id);
 
-      const can = checkCanModerate(issuer, targetMember, 3);
-      if (!can.ok) return interaction.editReply('❌ You do not have permission to remove timeout.');
+      if (sub === 'list') {
+        const lines = Object.keys(MESSAGE_TEMPLATES).map(key => {
+          const locales = Object.keys(guildConfig.templates[key] || {});
+          return `\`${key}\`${locales.length ? ` — ${locales.join(', ')}` : ''}`;
+        });
+        const embed = new EmbedBuilder()
+          .setTitle('Message templates')
+          .setDescription(lines.join('\n'))
+          .setFooter({ text: `Guild locale: ${guild.preferredLocale}. Without an override for the user's or guild's locale the built-in text is used.` });
+        return interaction.editReply({ embeds: [embed] });
+      }
 
-      await targetMember.timeout(null, 'Timeout removed by staff').catch(err => {
-        console.error('Untimeout error:', err);
-        return interaction.editReply('❌ Failed to remove timeout (missing permissions?).');
-      });
+      const key = interaction.options.getString('key');
+      const locale = interaction.options.getString('locale');
+      if (locale && !TEMPLATE_LOCALES.has(locale)) return interaction.editReply(`❌ Unknown locale \`${locale}\`. Use a Discord locale such as \`en\`, \`de\` or \`pt-BR\`.`);
+      const overrides = guildConfig.templates[key] || {};
 
-      const caseRecord = nextCase('RemoveTimeout', issuer.id, targetUser.id, 'Timeout removed by moderator');
-      await sendModLog(guild, { ...caseRecord, color: 0x00ccff });
+      if (sub === 'view') {
+        const text = locale ? overrides[locale] : MESSAGE_TEMPLATES[key].text;
+        if (text === undefined) return interaction.editReply(`❌ \`${key}\` has no \`${locale}\` override.`);
+        const embed = new EmbedBuilder()
+          .setTitle(`Template ${key}${locale ? ` (${locale})` : ' (built-in)'}`)
+          .setDescription(truncate(text, 4096))
+          .addFields(
+            { name: 'Placeholders', value: MESSAGE_TEMPLATES[key].vars.map(v => `{${v}}`).join(' ') },
+            { name: 'Overrides', value: Object.keys(overrides).join(', ') || 'none' }
+          );
+        return interaction.editReply({ embeds: [embed] });
+      }
 
-      try { await targetUser.send(`Your timeout in **${guild.name}** has been removed. Case ID: ${caseRecord.caseId}`); } catch {}
+      if (sub === 'reset') {
+        if (locale) delete overrides[locale];
+        if (!locale || !Object.keys(overrides).length) delete guildConfig.templates[key];
+        saveGuildSettings();
+        return interaction.editReply(`✅ \`${key}\`${locale ? ` (${locale})` : ''} reset to the built-in text.`);
+      }
 
-      return interaction.editReply(`✅ Removed timeout for <@${targetUser.id}> (Case ${caseRecord.caseId}).`);
+      const text = interaction.options.getString('text').replace(/\\n/g, '\n');
+      const unknown = [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).filter(v => !MESSAGE_TEMPLATES[key].vars.includes(v));
+      if (unknown.length) return interaction.editReply(`❌ Unknown placeholder(s) ${unknown.map(v => `{${v}}`).join(' ')}. This template supports ${MESSAGE_TEMPLATES[key].vars.map(v => `{${v}}`).join(' ')}.`);
+      if (key.endsWith('.title') && text.length > 256) return interaction.editReply('❌ Titles can be at most 256 characters.');
+      guildConfig.templates[key] = { ...overrides, [locale]: text };
+      saveGuildSettings();
+      return interaction.editReply(`✅ \`${key}\` (${locale}) updated. Preview:\n>>> ${renderTemplate(guild, key, {}, interaction.user.id, locale).text}`);
     }
 
-    // ---------- PURGE ----------
-    if (commandName === 'purge') {
-      const amount = interaction.options.getInteger('amount');
-      if (!amount || amount < 2 || amount > 100) return interaction.editReply('❌ Amount must be between 2 and 100.');
+    // ---------- PENDING-ACKS ----------
+    if (commandName === 'pending-acks') {
+      const can = checkPermission(issuer, 'pending-acks');
+      if (!can.ok) return interaction.editReply('❌ You do not have permission to view pending acknowledgements.');
+
+      const pending = getPendingAcks(guild.id);
+      if (!pending.length) return interaction.editReply('✅ No acknowledgement threads are open.');
+      const lines = pending.map(r => `${r.ack.status === 'overdue' ? '🔴' : '🟡'} **Case ${r.caseId}** ${r.action} — <@${r.targetUserId}> in <#${r.ack.threadId}> — due <t:${Math.floor(r.ack.deadlineAt / 1000)}:R>, ${r.ack.remindersSent} reminder(s)`);
+      const embed = new EmbedBuilder()
+        .setTitle(`Pending acknowledgements (${pending.length})`)
+        .setDescription(truncate(lines.join('\n'), 4096))
+        .setTimestamp();
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    // ---------- ANTIRAID ----------
+    if (commandName === 'antiraid') {
+      const sub = interaction.options.getSubcommand();
+      const can = checkPermission(issuer, sub === 'view' ? 'antiraid.view' : 'antiraid.edit');
+      if (!can.ok) return interaction.editReply('❌ You do not have permission to manage anti-raid.');
+      const { antiraid } = getGuildConfig(guild.id);
 
-      if (getMemberLevel(issuer) < 4 && !issuer.permissions.has(PermissionFlagsBits.ManageMessages)) {
-        return interaction.editReply('❌ You do not have permission to purge messages.');
+      if (sub === 'toggle') {
+        antiraid.enabled = interaction.options.getBoolean('enabled');
+        saveGuildSettings();
+      } else if (sub === 'set') {
+        const options = {
+          joinThreshold: interaction.options.getInteger('joins'),
+          joinWindowSeconds: interaction.options.getInteger('window_seconds'),
+          minAccountAgeDays: interaction.options.getInteger('account_age_days'),
+          action: interaction.options.getString('action'),
+          timeoutMinutes: interaction.options.getInteger('timeout_minutes'),
+          raidModeMinutes: interaction.options.getInteger('raid_minutes'),
+          alwaysGate: interaction.options.getBoolean('always_gate')
+        };
+        Object.entries(options).forEach(([key, value]) => { if (value !== null) antiraid[key] = value; });
+        saveGuildSettings();
+      } else if (sub === 'raidmode') {
+        const moderatorTag = interaction.user.tag;
+        if (interaction.options.getBoolean('enabled')) {
+          const started = await startRaidMode(guild, issuer.id, `Started manually by ${moderatorTag}`, interaction.options.getInteger('minutes'));
+          if (!started) return interaction.editReply('❌ Raid mode is already on (its end time was extended if needed).');
+        } else {
+          const ended = await endRaidMode(guild, issuer.id, `Ended manually by ${moderatorTag}`);
+          if (!ended) return interaction.editReply('❌ Raid mode is not on.');
+        }
       }
 
-      const fetched = await interaction.channel.bulkDelete(amount, true).catch(err => {
-        console.error('Bulk delete error:', err);
-        return null;
-      });
+      const embed = new EmbedBuilder()
+        .setTitle('Anti-raid')
+        .setDescription(describeAntiraid(guild.id))
+        .setTimestamp();
+      return interaction.editReply({ content: sub === 'view' ? null : '✅ Anti-raid updated.', embeds: [embed] });
+    }
+
+    // ---------- LOCKDOWN / UNLOCK ----------
+    if (commandName === 'lockdown' || commandName === 'unlock') {
+      const reason = interaction.options.getString('reason') || 'No reason provided';
+      const text = interaction.options.getString('channels');
+      if (commandName === 'lockdown') {
+        const channels = await resolveChannels(guild, text, interaction.channel);
+        return interaction.editReply(await lockdownAction({ guild, issuer, channels, reason }));
+      }
+      const all = interaction.options.getBoolean('all');
+      const lockedIds = Object.keys(getGuildConfig(guild.id).lockdowns);
+      if (all && !lockedIds.length) return interaction.editReply('❌ No channels are locked.');
+      const channels = all
+        ? (await Promise.all(lockedIds.map(id => guild.channels.fetch(id).catch(() => null)))).filter(Boolean)
+        : await resolveChannels(guild, text, interaction.channel);
+      return interaction.editReply(await unlockAction({ guild, issuer, channels, reason }));
+    }
 
-      const count = fetched?.size || 0;
-      const caseRecord = nextCase('Purge', issuer.id, issuer.id, `Purged ${count} messages in ${interaction.channel.id}`, { channel: interaction.channel.id, deletedCount: count });
-      await sendModLog(guild, { ...caseRecord, color: 0x666666 });
+    // ---------- SLOWMODE ----------
+    if (commandName === 'slowmode') {
+      const channel = interaction.options.getChannel('channel') || interaction.channel;
+      const seconds = interaction.options.getInteger('seconds');
+      const reason = interaction.options.getString('reason') || 'No reason provided';
+      return interaction.editReply(await slowmodeAction({ guild, issuer, channel, seconds, reason }));
+    }
 
-      return interaction.editReply(`✅ Purged ${count} messages.`);
+    // ---------- PURGE ----------
+    if (commandName === 'purge') {
+      const amount = interaction.options.getInteger('amount');
+      const filters = {
+        userId: interaction.options.getUser('user')?.id,
+        bots: interaction.options.getBoolean('bots') || false,
+        contains: interaction.options.getString('contains'),
+        links: interaction.options.getBoolean('links') || false,
+        attachments: interaction.options.getBoolean('attachments') || false,
+        before: interaction.options.getString('before')?.trim(),
+        after: interaction.options.getString('after')?.trim()
+      };
+      // keep the deferred reply out of the purge
+      const reply = await interaction.fetchReply().catch(() => null);
+      return interaction.editReply(await purgeAction({ guild, issuer, channel: interaction.channel, amount, filters, excludeIds: reply ? [reply.id] : [] }));
     }
 
     return interaction.editReply('Unknown command.');
@@ -595,11 +4070,104 @@ client.on('interactionCreate', async (interaction) => {
   }
 });
 
-// ---------- Event logging (message delete/edit, member join/leave) ----------
+// ---------- Automod listener ----------
+client.on('messageCreate', async (message) => {
+  try {
+    if (!message.guild || message.author.bot || message.webhookId) return;
+    await runAutomod(message);
+  } catch (err) {
+    console.error('Automod error:', err);
+  }
+});
+
+// ---------- Modmail listener ----------
+client.on('messageCreate', async (message) => {
+  if (message.guild || message.author.bot) return;
+  try {
+    await relayUserMessage(message);
+  } catch (err) {
+    console.error('Modmail relay error:', err);
+    try { await message.reply('❌ Something went wrong sending your message to staff.'); } catch (e) {}
+  }
+});
+
+// ---------- Anti-raid listener ----------
+client.on('guildMemberAdd', async (member) => {
+  try {
+    await handleRaidJoin(member);
+  } catch (err) {
+    console.error('Anti-raid error:', err);
+  }
+});
+
+// ---------- Evasion listeners ----------
+client.on('guildMemberAdd', async (member) => {
+  try {
+    await handleEvasionRejoin(member);
+  } catch (err) {
+    console.error('Evasion rejoin error:', err);
+  }
+});
+
+client.on('guildMemberRemove', async (member) => {
+  try {
+    await flagEvasionLeave(member);
+  } catch (err) {
+    console.error('Evasion leave error:', err);
+  }
+});
+
+// ---------- Prefix commands ----------
+client.on('messageCreate', async (message) => {
+  if (!message.guild || message.author.bot) return;
+  const { prefix, features } = getGuildConfig(message.guild.id);
+  if (!features.prefixCommands || !message.content.startsWith(prefix)) return;
+  const args = message.content.slice(prefix.length).trim().split(/\s+/);
+  const name = args.shift()?.toLowerCase();
+  // own keys only, so "constructor" or "__proto__" are not commands
+  const command = Object.hasOwn(prefixCommands, name) ? prefixCommands[name] : null;
+  if (!command) return;
+
+  try {
+    // purge should not count the command message itself
+    if (command === prefixCommands.purge) await message.delete().catch(() => {});
+    const ctx = { guild: message.guild, issuer: message.member, channel: message.channel };
+    const result = await command.run(ctx, args);
+    const reply = result ?? `❌ Usage: \`${prefix}${command.usage}\``;
+    if (command === prefixCommands.purge) await message.channel.send(reply);
+    else await message.reply(reply);
+  } catch (err) {
+    console.error('Prefix command error:', err);
+    try { await message.reply('❌ An error occurred while processing the command.'); } catch (e) {}
+  }
+});
+
+// ---------- Event logging (messages, members) ----------
+// Message and member logs go to their own channels when configured, otherwise
+// to the mod log. Ignored channels/roles are skipped.
+async function fetchEventLogChannel(guild, kind) {
+  const guildConfig = getGuildConfig(guild.id);
+  if (!guildConfig.features.eventLogs) return null;
+  const channelId = (kind === 'messages' ? guildConfig.messageLogChannelId : guildConfig.memberLogChannelId) || guildConfig.modLogChannelId;
+  if (!channelId) return null;
+  return guild.channels.fetch(channelId).catch(() => null);
+}
+
+function isLogIgnored(guild, { channel = null, member = null }) {
+  const { ignoredChannels, ignoredRoles } = getGuildConfig(guild.id).logging;
+  if (channel && (ignoredChannels.includes(channel.id) || (channel.parentId && ignoredChannels.includes(channel.parentId)))) return true;
+  return !!member?.roles && ignoredRoles.some(roleId => member.roles.cache.has(roleId));
+}
+
+function describeAttachments(message) {
+  return [...(message.attachments?.values() || [])].map(a => `[${a.name}](${a.url})`).join('\n');
+}
+
 client.on('messageDelete', async (message) => {
   try {
-    if (!message.guild || message.author?.bot) return;
-    const ch = await message.guild.channels.fetch(config.MOD_LOG_CHANNEL_ID).catch(() => null);
+    if (!message.guild || !message.author || message.author.bot) return;
+    if (isLogIgnored(message.guild, { channel: message.channel, member: message.member })) return;
+    const ch = await fetchEventLogChannel(message.guild, 'messages');
     if (!ch) return;
     const embed = new EmbedBuilder()
       .setTitle('🗑️ Message Deleted')
@@ -608,27 +4176,55 @@ client.on('messageDelete', async (message) => {
         { name: 'Channel', value: `${message.channel}` }
       )
       .setTimestamp();
-    if (message.content) embed.addFields({ name: 'Content', value: message.content });
+    if (message.content) embed.addFields({ name: 'Content', value: truncate(message.content, 1024) });
+    const attachments = describeAttachments(message);
+    if (attachments) embed.addFields({ name: `Attachments (${message.attachments.size})`, value: truncate(attachments, 1024) });
     await ch.send({ embeds: [embed] });
   } catch (err) {
     console.error('messageDelete log error:', err);
   }
 });
 
+client.on('messageDeleteBulk', async (messages, channel) => {
+  try {
+    if (!channel.guild || isLogIgnored(channel.guild, { channel })) return;
+    const ch = await fetchEventLogChannel(channel.guild, 'messages');
+    if (!ch) return;
+    const lines = [...messages.values()]
+      .filter(m => !m.partial)
+      .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+      .map(messageTranscriptEntry);
+    const transcript = new AttachmentBuilder(Buffer.from(transcriptText(lines) || 'No cached messages.', 'utf8'), { name: `bulk-delete-${channel.id}-${Date.now()}.txt` });
+    const embed = new EmbedBuilder()
+      .setTitle('🧹 Messages Bulk Deleted')
+      .addFields(
+        { name: 'Channel', value: `${channel}`, inline: true },
+        { name: 'Count', value: `${messages.size}`, inline: true },
+        { name: 'Cached', value: `${lines.length}`, inline: true }
+      )
+      .setTimestamp();
+    await ch.send({ embeds: [embed], files: [transcript] });
+  } catch (err) {
+    console.error('messageDeleteBulk log error:', err);
+  }
+});
+
 client.on('messageUpdate', async (oldMsg, newMsg) => {
   try {
-    if (!oldMsg.guild || oldMsg.author?.bot) return;
+    if (!oldMsg.guild || !oldMsg.author || oldMsg.author.bot) return;
     if (oldMsg.content === newMsg.content) return;
-    const ch = await oldMsg.guild.channels.fetch(config.MOD_LOG_CHANNEL_ID).catch(() => null);
+    if (isLogIgnored(oldMsg.guild, { channel: oldMsg.channel, member: newMsg.member })) return;
+    const ch = await fetchEventLogChannel(oldMsg.guild, 'messages');
     if (!ch) return;
     const embed = new EmbedBuilder()
       .setTitle('✏️ Message Edited')
       .addFields(
         { name: 'Author', value: `${oldMsg.author.tag} (${oldMsg.author.id})` },
         { name: 'Channel', value: `${oldMsg.channel}` },
-        { name: 'Before', value: oldMsg.content || '*embed/attachment*' },
-        { name: 'After', value: newMsg.content || '*embed/attachment*' }
+        { name: 'Before', value: truncate(oldMsg.content, 1024) || '*embed/attachment*' },
+        { name: 'After', value: truncate(newMsg.content, 1024) || '*embed/attachment*' }
       )
+      .setURL(newMsg.url)
       .setTimestamp();
     await ch.send({ embeds: [embed] });
   } catch (err) {
@@ -638,7 +4234,8 @@ client.on('messageUpdate', async (oldMsg, newMsg) => {
 
 client.on('guildMemberAdd', async (member) => {
   try {
-    const ch = await member.guild.channels.fetch(config.MOD_LOG_CHANNEL_ID).catch(() => null);
+    if (isLogIgnored(member.guild, { member })) return;
+    const ch = await fetchEventLogChannel(member.guild, 'members');
     if (!ch) return;
     const embed = new EmbedBuilder()
       .setTitle('📥 Member Joined')
@@ -652,7 +4249,8 @@ client.on('guildMemberAdd', async (member) => {
 
 client.on('guildMemberRemove', async (member) => {
   try {
-    const ch = await member.guild.channels.fetch(config.MOD_LOG_CHANNEL_ID).catch(() => null);
+    if (isLogIgnored(member.guild, { member })) return;
+    const ch = await fetchEventLogChannel(member.guild, 'members');
     if (!ch) return;
     const embed = new EmbedBuilder()
       .setTitle('📤 Member Left')
@@ -664,5 +4262,136 @@ client.on('guildMemberRemove', async (member) => {
   }
 });
 
+client.on('guildMemberUpdate', async (oldMember, newMember) => {
+  try {
+    if (oldMember.partial || isLogIgnored(newMember.guild, { member: newMember })) return;
+    const added = newMember.roles.cache.filter(r => !oldMember.roles.cache.has(r.id));
+    const removed = oldMember.roles.cache.filter(r => !newMember.roles.cache.has(r.id));
+    const changes = [];
+    if (added.size) changes.push({ name: 'Roles added', value: truncate(added.map(r => `${r}`).join(' '), 1024) });
+    if (removed.size) changes.push({ name: 'Roles removed', value: truncate(removed.map(r => `${r}`).join(' '), 1024) });
+    if (oldMember.nickname !== newMember.nickname) {
+      changes.push({ name: 'Nickname', value: truncate(`${oldMember.nickname || '*none*'} → ${newMember.nickname || '*none*'}`, 1024) });
+    }
+    if (oldMember.avatar !== newMember.avatar) {
+      changes.push({ name: 'Server avatar', value: newMember.avatar ? `[new avatar](${newMember.displayAvatarURL()})` : 'removed' });
+    }
+    if (!changes.length) return;
+
+    const ch = await fetchEventLogChannel(newMember.guild, 'members');
+    if (!ch) return;
+    const embed = new EmbedBuilder()
+      .setTitle('🪪 Member Updated')
+      .setDescription(`${newMember.user.tag} (${newMember.id})`)
+      .addFields(changes)
+      .setThumbnail(newMember.displayAvatarURL())
+      .setTimestamp();
+    await ch.send({ embeds: [embed] });
+  } catch (err) {
+    console.error('guildMemberUpdate log error:', err);
+  }
+});
+
+// ---------- Manual actions (audit log) ----------
+// Bans, kicks and timeouts done in the Discord client become cases with
+// source 'manual'. Entries made by this bot are skipped since the command that
+// caused them already recorded a case.
+function describeManualAction(entry) {
+  switch (entry.action) {
+    case AuditLogEvent.MemberBanAdd: return { action: 'Ban', color: 0xcc0000 };
+    case AuditLogEvent.MemberBanRemove: return { action: 'Unban', color: 0x00aa00 };
+    case AuditLogEvent.MemberKick: return { action: 'Kick', color: 0xff6600 };
+    case AuditLogEvent.MemberUpdate: {
+      const change = entry.changes.find(c => c.key === 'communication_disabled_until');
+      if (!change) return null;
+      if (!change.new) return { action: 'Untimeout', color: 0x00aa00 };
+      const minutes = Math.round((Date.parse(change.new) - Date.now()) / 60000);
+      return { action: 'Timeout', color: 0xffcc00, extra: { minutes, until: new Date(change.new).toISOString() } };
+    }
+    default: return null;
+  }
+}
+
+client.on('guildAuditLogEntryCreate', async (entry, guild) => {
+  try {
+    if (!entry.executorId || entry.executorId === client.user.id || !entry.targetId) return;
+    const manual = describeManualAction(entry);
+    if (!manual) return;
+    // a ban or unban from Discord's UI overrides any tempban expiry we scheduled
+    if (manual.action === 'Ban' || manual.action === 'Unban') cancelPendingUnban(guild.id, entry.targetId);
+
+    const caseRecord = nextCase(guild.id, manual.action, entry.executorId, entry.targetId, entry.reason || 'No reason provided (manual action)', {
+      ...manual.extra,
+      auditLogEntry: entry.id
+    });
+    caseRecord.source = 'manual';
+    saveCase(caseRecord);
+    await sendModLog(guild, { ...caseRecord, color: manual.color });
+  } catch (err) {
+    console.error('Audit log capture error:', err);
+  }
+});
+
+// ---------- HTTP API + dashboard ----------
+const app = express();
+const startedAt = Date.now();
+
+function requireToken(req, res, next) {
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const expected = Buffer.from(config.DASHBOARD_TOKEN);
+  const given = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  next();
+}
+
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'dashboard.html')));
+
+app.use('/api', requireToken);
+
+app.get('/api/health', (req, res) => {
+  res.json({
+    gateway: client.ws.status === 0 ? 'ready' : `status ${client.ws.status}`,
+    ping: client.ws.ping,
+    user: client.user?.tag || null,
+    guilds: client.guilds.cache.size,
+    uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+    pendingJobs: getPendingJobs().length,
+    nextJobAt: getPendingJobs().reduce((min, j) => (min === null || j.runAt < min ? j.runAt : min), null),
+    totalCases: cases.records.length,
+    totalWarnings: warnings.length
+  });
+});
+
+app.get('/api/cases', (req, res) => {
+  const matched = filterCases(req.query).reverse(); // newest first
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  res.json({ total: matched.length, offset, limit, records: matched.slice(offset, offset + limit) });
+});
+
+app.get('/api/cases/:id', (req, res) => {
+  const record = findCase(Number(req.params.id));
+  if (!record) return res.status(404).json({ error: 'not_found' });
+  res.json(record);
+});
+
+app.get('/api/users/:id/warnings', (req, res) => {
+  refreshWarningExpiry();
+  // without ?guild= the user's warnings from every guild are returned
+  const all = warnings.filter(w => w.userId === req.params.id && (!req.query.guild || inGuild(w, req.query.guild)));
+  res.json({
+    userId: req.params.id,
+    active: all.filter(w => !w.expiredAt),
+    expired: all.filter(w => w.expiredAt)
+  });
+});
+
+if (config.DASHBOARD_TOKEN) {
+  app.listen(config.PORT, () => console.log(`🌐 Dashboard listening on port ${config.PORT}`));
+}
+
 // ---------- Login ----------
 client.login(config.DISCORD_TOKEN);
@@ -0,0 +1,287 @@
+// storage.js - persistence backends for the SWEETSiEZ Moderation Bot
+// index.js keeps cases/warnings in memory and calls these after each change.
+//
+// Interface (both backends):
+//  - loadCases() -> { nextCaseId, records }
+//  - saveCase(record, cases)          insert or update one case
+//  - saveCases(records, cases)        insert or update many cases in one write (imports)
+//  - loadWarnings() -> warning[]
+//  - saveWarning(warning, warnings)   insert or update one warning
+//  - saveWarnings(list, warnings)     insert or update many warnings in one write
+//  - deleteWarnings(ids, warnings)    `warnings` is the list after removal
+//  - loadDocument(name, fallback) / saveDocument(name, data) for small stores (schedule, escalation, ...)
+//
+// The JSON backend rewrites the whole file from the in-memory copy, the SQLite
+// backend writes only the affected row.
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKUP_KEEP = 10;
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+// ---------- JSON backend ----------
+class JsonStorage {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.backupDir = path.join(dataDir, 'backups');
+    if (!fs.existsSync(this.backupDir)) fs.mkdirSync(this.backupDir, { recursive: true });
+  }
+
+  file(name) {
+    return path.join(this.dataDir, `${name}.json`);
+  }
+
+  /**
+   * Reads a store. A missing file is created from the fallback; a corrupt file
+   * is set aside and the last good copy (.bak) is used instead. If neither can
+   * be read this throws rather than starting over with an empty store.
+   */
+  read(name, fallback) {
+    const filePath = this.file(name);
+    if (!fs.existsSync(filePath)) {
+      this.write(name, fallback);
+      return clone(fallback);
+    }
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.snapshot(name);
+      return data;
+    } catch (err) {
+      console.error('Failed to load JSON:', filePath, err);
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      fs.copyFileSync(filePath, corruptPath);
+      try {
+        const data = JSON.parse(fs.readFileSync(`${filePath}.bak`, 'utf8'));
+        console.warn(`Recovered ${name} from ${filePath}.bak (corrupt file kept at ${corruptPath}).`);
+        this.write(name, data);
+        return data;
+      } catch (bakErr) {
+        throw new Error(`Cannot load ${filePath} or its backup; refusing to start with an empty store. Restore it from ${this.backupDir}.`);
+      }
+    }
+  }
+
+  // write-to-temp then rename, so a crash never leaves a half-written file
+  write(name, data) {
+    const filePath = this.file(name);
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      const fd = fs.openSync(tmpPath, 'w');
+      fs.writeSync(fd, JSON.stringify(data, null, 2));
+      fs.fsyncSync(fd);
+      fs.closeSync(fd);
+      if (fs.existsSync(filePath)) fs.copyFileSync(filePath, `${filePath}.bak`);
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      console.error('Failed to save JSON:', filePath, err);
+    }
+  }
+
+  // one dated copy per store per startup, keeping the newest BACKUP_KEEP
+  snapshot(name) {
+    try {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      fs.copyFileSync(this.file(name), path.join(this.backupDir, `${name}-${stamp}.json`));
+      const old = fs.readdirSync(this.backupDir)
+        .filter(f => f.startsWith(`${name}-`) && f.endsWith('.json'))
+        .sort()
+        .slice(0, -BACKUP_KEEP);
+      old.forEach(f => fs.unlinkSync(path.join(this.backupDir, f)));
+    } catch (err) {
+      console.error('Failed to snapshot JSON:', name, err);
+    }
+  }
+
+  loadCases() {
+    return this.read('cases', { nextCaseId: 1, records: [] });
+  }
+
+  saveCase(record, cases) {
+    this.write('cases', cases);
+  }
+
+  saveCases(records, cases) {
+    this.write('cases', cases);
+  }
+
+  loadWarnings() {
+    return this.read('warnings', []);
+  }
+
+  saveWarning(warning, warnings) {
+    this.write('warnings', warnings);
+  }
+
+  saveWarnings(list, warnings) {
+    this.write('warnings', warnings);
+  }
+
+  deleteWarnings(ids, warnings) {
+    this.write('warnings', warnings);
+  }
+
+  loadDocument(name, fallback) {
+    return this.read(name, fallback);
+  }
+
+  saveDocument(name, data) {
+    this.write(name, data);
+  }
+}
+
+// ---------- SQLite backend ----------
+class SqliteStorage {
+  constructor(dataDir) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3).');
+    }
+    this.db = new Database(path.join(dataDir, 'moderation.db'));
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS cases (
+        case_id INTEGER PRIMARY KEY,
+        action TEXT NOT NULL,
+        moderator_id TEXT,
+        target_user_id TEXT,
+        timestamp TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS cases_target ON cases (target_user_id);
+      CREATE TABLE IF NOT EXISTS warnings (
+        id INTEGER PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS warnings_user ON warnings (user_id);
+      CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL);
+    `);
+    this.stmts = {
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+      allCases: this.db.prepare('SELECT data FROM cases ORDER BY case_id'),
+      upsertCase: this.db.prepare(`INSERT INTO cases (case_id, action, moderator_id, target_user_id, timestamp, data)
+        VALUES (@caseId, @action, @moderatorId, @targetUserId, @timestamp, @data)
+        ON CONFLICT(case_id) DO UPDATE SET action = excluded.action, moderator_id = excluded.moderator_id,
+          target_user_id = excluded.target_user_id, timestamp = excluded.timestamp, data = excluded.data`),
+      allWarnings: this.db.prepare('SELECT data FROM warnings ORDER BY id'),
+      upsertWarning: this.db.prepare(`INSERT INTO warnings (id, user_id, data) VALUES (@id, @userId, @data)
+        ON CONFLICT(id) DO UPDATE SET user_id = excluded.user_id, data = excluded.data`),
+      deleteWarning: this.db.prepare('DELETE FROM warnings WHERE id = ?'),
+      getDocument: this.db.prepare('SELECT data FROM documents WHERE name = ?'),
+      setDocument: this.db.prepare('INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data')
+    };
+  }
+
+  loadCases() {
+    const nextCaseId = Number(this.stmts.getMeta.get('nextCaseId')?.value || 1);
+    const records = this.stmts.allCases.all().map(row => JSON.parse(row.data));
+    return { nextCaseId, records };
+  }
+
+  saveCase(record, cases) {
+    this.db.transaction(() => {
+      this.stmts.upsertCase.run({
+        caseId: record.caseId,
+        action: record.action,
+        moderatorId: record.moderatorId,
+        targetUserId: record.targetUserId,
+        timestamp: record.timestamp,
+        data: JSON.stringify(record)
+      });
+      this.stmts.setMeta.run('nextCaseId', String(cases.nextCaseId));
+    })();
+  }
+
+  saveCases(records, cases) {
+    this.db.transaction(() => records.forEach(record => this.saveCase(record, cases)))();
+  }
+
+  loadWarnings() {
+    return this.stmts.allWarnings.all().map(row => JSON.parse(row.data));
+  }
+
+  saveWarning(warning) {
+    this.stmts.upsertWarning.run({ id: warning.id, userId: warning.userId, data: JSON.stringify(warning) });
+  }
+
+  saveWarnings(list) {
+    this.db.transaction(() => list.forEach(w => this.saveWarning(w)))();
+  }
+
+  deleteWarnings(ids) {
+    this.db.transaction(() => ids.forEach(id => this.stmts.deleteWarning.run(id)))();
+  }
+
+  loadDocument(name, fallback) {
+    const row = this.stmts.getDocument.get(name);
+    if (row) return JSON.parse(row.data);
+    this.saveDocument(name, fallback);
+    return clone(fallback);
+  }
+
+  saveDocument(name, data) {
+    this.stmts.setDocument.run(name, JSON.stringify(data));
+  }
+}
+
+function createStorage(backend, dataDir) {
+  if (backend === 'sqlite') return new SqliteStorage(dataDir);
+  if (backend && backend !== 'json') throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  return new JsonStorage(dataDir);
+}
+
+/**
+ * One-shot import of the JSON files in dataDir into moderation.db.
+ * cases.json and warnings.json become rows; every other top-level *.json
+ * becomes a document. Refuses to run over a database that already has cases.
+ */
+function migrateJsonToSqlite(dataDir, { force = false } = {}) {
+  const sqlite = new SqliteStorage(dataDir);
+  const existing = sqlite.db.prepare('SELECT COUNT(*) AS n FROM cases').get().n;
+  if (existing && !force) {
+    throw new Error(`moderation.db already holds ${existing} case(s); pass --force to import anyway.`);
+  }
+
+  const json = new JsonStorage(dataDir);
+  const cases = json.loadCases();
+  const warnings = json.loadWarnings();
+  const documents = fs.readdirSync(dataDir)
+    .filter(f => f.endsWith('.json') && f !== 'cases.json' && f !== 'warnings.json')
+    .map(f => path.basename(f, '.json'));
+
+  sqlite.db.transaction(() => {
+    cases.records.forEach(record => sqlite.saveCase(record, cases));
+    sqlite.stmts.setMeta.run('nextCaseId', String(cases.nextCaseId));
+    warnings.forEach(w => sqlite.saveWarning(w));
+    documents.forEach(name => sqlite.saveDocument(name, json.loadDocument(name, {})));
+  })();
+
+  return { cases: cases.records.length, warnings: warnings.length, documents };
+}
+
+module.exports = { JsonStorage, SqliteStorage, createStorage, migrateJsonToSqlite };
+
+// CLI: node storage.js migrate [--force]
+if (require.main === module) {
+  const [command, ...flags] = process.argv.slice(2);
+  if (command !== 'migrate') {
+    console.log('Usage: node storage.js migrate [--force]');
+    process.exit(1);
+  }
+  try {
+    const result = migrateJsonToSqlite(path.join(__dirname, 'data'), { force: flags.includes('--force') });
+    console.log(`✅ Imported ${result.cases} case(s), ${result.warnings} warning(s) and documents: ${result.documents.join(', ') || 'none'}.`);
+    console.log('Set STORAGE_BACKEND=sqlite to use the database.');
+  } catch (err) {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+  }
+}